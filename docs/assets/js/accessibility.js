@@ -6,6 +6,9 @@
 (function() {
   'use strict';
 
+  // WCAG 2.1 AA minimum for normal-size text; statusline text is never "large"
+  const MIN_TEXT_CONTRAST = 4.5;
+
   /* ========== Accessibility Manager ========== */
   class AccessibilityManager {
     constructor() {
@@ -597,17 +600,93 @@
     }
 
     inferMeaningFromColor(el) {
-      const c = getComputedStyle(el).color;
-      const nums = c.match(/[\d.]+/g);
-      if (!nums || nums.length < 3) return null;
-      const r = Number(nums[0]), g = Number(nums[1]), b = Number(nums[2]);
-      const h = this.rgbToHue(r,g,b);
+      const rgb = this.parseColor(getComputedStyle(el).color);
+      if (!rgb) return null;
+      const h = this.rgbToHue(...rgb);
       if ((h >= 350 || h <= 20))  return 'Error or high cost indicator';
       if (h >= 40 && h <= 70)     return 'Warning indicator';
       if (h >= 80 && h <= 170)    return 'Success indicator';
       return null;
     }
 
+    /* ========== Color Contrast ========== */
+
+    // '#rgb', '#rrggbb' or 'rgb()/rgba()' -> [r, g, b], null for anything else
+    parseColor(value) {
+      const c = String(value || '').trim();
+      const hex = c.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+      if (hex) {
+        const h = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+      }
+      const nums = c.match(/^rgba?\(([^)]*)\)$/i) && c.match(/[\d.]+/g);
+      if (!nums || nums.length < 3) return null;
+      if (nums.length > 3 && Number(nums[3]) === 0) return null; // fully transparent
+      return nums.slice(0, 3).map(Number);
+    }
+
+    // WCAG relative luminance of an sRGB color
+    relativeLuminance(r,g,b) {
+      const [R, G, B] = [r, g, b].map(v => {
+        v /= 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+      });
+      return 0.2126*R + 0.7152*G + 0.0722*B;
+    }
+
+    // WCAG contrast ratio (1-21) between two [r, g, b] colors
+    contrastRatio(fg, bg) {
+      const a = this.relativeLuminance(...fg);
+      const b = this.relativeLuminance(...bg);
+      return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+    }
+
+    /**
+     * Check each text run of a themed statusline preview against WCAG AA and flag
+     * failures inline. Segments carry their colors as custom properties (see
+     * Statusline.toHTML); unstyled text sits on the terminal's --terminal-bg.
+     * Returns [{ text, ratio, passes }] in preview order.
+     */
+    checkStatuslineContrast(preview) {
+      const terminal = preview.closest('.terminal') || preview;
+      const terminalBg = this.parseColor(terminal.style.getPropertyValue('--terminal-bg')) || [0, 0, 0];
+      const prop = (el, name) => this.parseColor(el.style.getPropertyValue(name));
+      const results = [];
+
+      const check = (el, fg, bg) => {
+        // Keep the segment's own tooltip (see Statusline.toHTML) beneath the warning
+        if (el.dataset.title === undefined) el.dataset.title = el.title;
+        el.classList.remove('contrast-fail');
+        el.title = el.dataset.title;
+        if (!fg || !bg) return;
+        const ratio = this.contrastRatio(fg, bg);
+        const passes = ratio >= MIN_TEXT_CONTRAST;
+        if (!passes) {
+          el.classList.add('contrast-fail');
+          el.title = [`Contrast ${ratio.toFixed(1)}:1, below WCAG AA ${MIN_TEXT_CONTRAST}:1`, el.dataset.title]
+            .filter(Boolean)
+            .join('\n');
+        }
+        results.push({ text: (el.textContent || '').trim(), ratio, passes });
+      };
+
+      const visit = container => Array.from(container.children).forEach(el => {
+        // Multi-line layouts wrap each line's runs (see Statusline.toHTML)
+        if (el.classList.contains('statusline-lines') || el.classList.contains('statusline-line')) return visit(el);
+        // Separators are decoration; bare text between runs is typewriter-wrapped
+        if (el.classList.contains('segment-separator') || el.classList.contains('tw-ch')) return;
+        if (el.classList.contains('segment')) {
+          const bg = prop(el, '--segment-bg');
+          check(el, prop(el, '--segment-fg'), bg);
+          el.querySelectorAll('.segment__part').forEach(part => check(part, prop(part, '--part-fg'), bg));
+        } else {
+          check(el, this.parseColor(getComputedStyle(el).color), terminalBg);
+        }
+      });
+      visit(preview);
+      return results;
+    }
+
     /* ========== Screen Reader Enhancements (updated) ========== */
     enhanceForScreenReaders(root = document) {
       // 1) Statusline previews: keep visible text as accessible name; add context via describedby
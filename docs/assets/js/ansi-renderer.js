@@ -0,0 +1,207 @@
+/* ================================================
+   ANSI Renderer - Claude Code Statusline Manager
+   Converts captured escape-sequence output into HTML
+   ================================================ */
+
+(function (root) {
+  'use strict';
+
+  // Shares the xterm palette and HTML escaping with the statusline renderer
+  const Statusline =
+    typeof module === 'object' && module.exports ? require('./statusline-core.js') : root.Statusline;
+  const { xterm256ToHex, toHex, escapeHTML } = Statusline;
+
+  /* ========== Constants ========== */
+  const ESC = '\x1b';
+
+  // Textual spellings of ESC found in shell sources, `cat -v` dumps and data attributes
+  const LITERAL_ESCAPES = /\\e\[|\\033\[|\\x1b\[|\\u001b\[|\^\[\[/gi;
+
+  // CSI sequences; only SGR (final byte "m") affects rendering, the rest are dropped
+  const CSI_PATTERN = /\x1b\[([0-9;:]*)([@-~])/g;
+
+  /* ========== Parser ========== */
+
+  function defaultStyle() {
+    return { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, inverse: false };
+  }
+
+  /**
+   * Apply one SGR parameter list to a style (mutates and returns it)
+   */
+  function applySGR(style, params) {
+    const codes = params === '' ? [0] : params.split(/[;:]/).map((p) => (p === '' ? 0 : parseInt(p, 10)));
+
+    for (let i = 0; i < codes.length; i++) {
+      const code = codes[i];
+
+      if (code === 0) {
+        Object.assign(style, defaultStyle());
+      } else if (code === 1) {
+        style.bold = true;
+      } else if (code === 2) {
+        style.dim = true;
+      } else if (code === 3) {
+        style.italic = true;
+      } else if (code === 4) {
+        style.underline = true;
+      } else if (code === 7) {
+        style.inverse = true;
+      } else if (code === 22) {
+        style.bold = false;
+        style.dim = false;
+      } else if (code === 23) {
+        style.italic = false;
+      } else if (code === 24) {
+        style.underline = false;
+      } else if (code === 27) {
+        style.inverse = false;
+      } else if (code === 38 || code === 48) {
+        const key = code === 38 ? 'fg' : 'bg';
+        if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+          style[key] = xterm256ToHex(codes[i + 2] & 255);
+          i += 2;
+        } else if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+          style[key] = toHex(codes[i + 2] & 255, codes[i + 3] & 255, codes[i + 4] & 255);
+          i += 4;
+        }
+      } else if (code === 39) {
+        style.fg = null;
+      } else if (code === 49) {
+        style.bg = null;
+      } else if (code >= 30 && code <= 37) {
+        style.fg = xterm256ToHex(code - 30);
+      } else if (code >= 40 && code <= 47) {
+        style.bg = xterm256ToHex(code - 40);
+      } else if (code >= 90 && code <= 97) {
+        style.fg = xterm256ToHex(code - 90 + 8);
+      } else if (code >= 100 && code <= 107) {
+        style.bg = xterm256ToHex(code - 100 + 8);
+      }
+    }
+
+    return style;
+  }
+
+  /**
+   * Replace textual escape spellings (\e[, \033[, \x1b[, ^[[) with a real ESC
+   */
+  function normalizeEscapes(text) {
+    return String(text).replace(LITERAL_ESCAPES, `${ESC}[`);
+  }
+
+  /**
+   * Split ANSI output into styled runs: [{ text, style }]
+   */
+  function parse(text) {
+    const input = normalizeEscapes(text);
+    const runs = [];
+    const style = defaultStyle();
+    let last = 0;
+    let match;
+
+    function pushText(chunk) {
+      if (!chunk) return;
+      const prev = runs[runs.length - 1];
+      const snapshot = Object.assign({}, style);
+      if (prev && JSON.stringify(prev.style) === JSON.stringify(snapshot)) {
+        prev.text += chunk;
+      } else {
+        runs.push({ text: chunk, style: snapshot });
+      }
+    }
+
+    CSI_PATTERN.lastIndex = 0;
+    while ((match = CSI_PATTERN.exec(input)) !== null) {
+      pushText(input.slice(last, match.index));
+      if (match[2] === 'm') applySGR(style, match[1]);
+      last = CSI_PATTERN.lastIndex;
+    }
+    pushText(input.slice(last));
+
+    return runs;
+  }
+
+  /* ========== HTML Output ========== */
+
+  function styleToCSS(style) {
+    let fg = style.fg;
+    let bg = style.bg;
+    if (style.inverse) {
+      fg = style.bg || 'var(--color-canvas-inset)';
+      bg = style.fg || 'var(--color-fg-default)';
+    }
+
+    const rules = [];
+    if (fg) rules.push(`color:${fg}`);
+    if (bg) rules.push(`background-color:${bg}`);
+    if (style.bold) rules.push('font-weight:bold');
+    if (style.dim) rules.push('opacity:0.7');
+    if (style.italic) rules.push('font-style:italic');
+    if (style.underline) rules.push('text-decoration:underline');
+    return rules.join(';');
+  }
+
+  /**
+   * Convert ANSI output into HTML spans with inline colors
+   */
+  function toHTML(text) {
+    return parse(text)
+      .map((run) => {
+        const css = styleToCSS(run.style);
+        const content = escapeHTML(run.text);
+        return css ? `<span class="ansi" style="${css}">${content}</span>` : content;
+      })
+      .join('');
+  }
+
+  /**
+   * Strip every escape sequence, leaving the visible text
+   */
+  function stripANSI(text) {
+    return normalizeEscapes(text).replace(CSI_PATTERN, '');
+  }
+
+  /* ========== DOM Integration ========== */
+
+  /**
+   * Render captured output into an element (e.g. a .statusline-preview)
+   */
+  function renderInto(element, text) {
+    if (!element) return;
+    element.innerHTML = toHTML(text);
+    element.classList.add('statusline-preview--ansi');
+  }
+
+  /**
+   * Render every [data-ansi] element under scope from its captured output
+   */
+  function renderCaptures(scope) {
+    scope.querySelectorAll('[data-ansi]').forEach((element) => {
+      renderInto(element, element.getAttribute('data-ansi'));
+    });
+  }
+
+  const AnsiRenderer = {
+    xterm256ToHex,
+    normalizeEscapes,
+    parse,
+    toHTML,
+    stripANSI,
+    renderInto,
+    renderCaptures
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = AnsiRenderer;
+    return;
+  }
+
+  root.AnsiRenderer = AnsiRenderer;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => renderCaptures(document), { once: true });
+  } else {
+    renderCaptures(document);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
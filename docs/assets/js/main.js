@@ -12,12 +12,80 @@
   const STATUSLINE_UPDATE_DELAY = 100; // ms
   const PASSIVE = { passive: true };
 
-  const COST_THRESHOLDS = { low: 0.05, medium: 0.10 };
-
-  const MODEL_EMOJIS = {
-    OPUS: '🎭',
-    SONNET: '🎵',
-    HAIKU: '🍃'
+  // Shared renderer (statusline-core.js); loaded before this file
+  const Statusline = window.Statusline;
+  const Themes = window.StatuslineThemes;
+  const Paths = window.StatuslinePaths;
+  const Format = window.StatuslineFormat;
+
+  const INPUT_DEBOUNCE = 250; // ms between keystrokes before re-parsing pasted JSON
+  const LAYOUT_STORAGE_KEY = 'statusline-layout';
+  const COST_STORAGE_KEY = 'statusline-cost';
+  const PATHS_STORAGE_KEY = 'statusline-paths';
+  const FORMAT_STORAGE_KEY = 'statusline-format';
+  const MODELS_STORAGE_KEY = 'statusline-models';
+  const THEME_STORAGE_KEY = 'statusline-theme';
+
+  // Shared playground links: ?config=<base64url JSON>
+  const PERMALINK_PARAM = 'config';
+  const PERMALINK_VERSION = 1;
+
+  // Session replay: one recorded session minute plays in one second at 1x,
+  // with gaps clamped so bursts stay readable and idle stretches don't stall
+  const REPLAY_TIME_LAPSE = 60;
+  const REPLAY_MIN_DELAY = 400; // ms
+  const REPLAY_MAX_DELAY = 4000; // ms
+  const HERO_FRAMES_PER_STYLE = 3;
+
+  // Narrowest terminal the preview simulates; empty means unlimited
+  const MIN_TERMINAL_WIDTH = 20;
+
+  // Builder choices for each line of the layout
+  const SEPARATOR_LABELS = {
+    arrow: 'Arrow ▶',
+    hollow: 'Hollow arrow ▷',
+    thin: 'Thin bar │',
+    powerline: 'Powerline \uE0B0 (Nerd Font)',
+    rounded: 'Rounded \uE0B4 (Nerd Font)',
+    slanted: 'Slanted \uE0BC (Nerd Font)',
+    ascii: 'ASCII >',
+    none: 'None'
+  };
+  const ALIGN_LABELS = { left: 'Left', center: 'Center', right: 'Right' };
+
+  // Going from one line to two moves the segments after the first three down
+  // (model, directory and git above cost, time, context and changes by default)
+  const FIRST_LINE_SEGMENTS = 3;
+
+  // Playground inputs bound to state keys; durations are entered in seconds
+  const PLAYGROUND_FIELDS = [
+    { id: 'session-duration', key: 'duration', scale: 1000 },
+    { id: 'session-api-duration', key: 'apiDuration', scale: 1000 },
+    { id: 'lines-added', key: 'linesAdded' },
+    { id: 'lines-removed', key: 'linesRemoved' },
+    { id: 'current-dir', key: 'currentDir' },
+    { id: 'project-dir', key: 'projectDir' },
+    { id: 'git-branch', key: 'gitBranch' },
+    { id: 'git-tag', key: 'gitTag' }
+  ];
+
+  const GIT_COUNT_FIELDS = Object.keys(Statusline.GIT_STAT_ICONS).map((key) => ({ id: `git-${key}`, key }));
+
+  // Repository scenarios for the git selector. An empty branch is a detached
+  // HEAD; presets without one keep the current branch. Unlisted counts are 0.
+  const GIT_PRESETS = {
+    clean: { label: 'Clean' },
+    staged: { label: 'Staged changes', stats: { staged: 3 } },
+    dirty: { label: 'Unstaged changes', stats: { staged: 3, unstaged: 2, ahead: 1 } },
+    untracked: { label: 'Untracked files', stats: { untracked: 4 } },
+    diverged: { label: 'Diverged from upstream', stats: { ahead: 2, behind: 3 } },
+    stashed: { label: 'Stashed work', stats: { stashed: 2 } },
+    tag: { label: 'Detached at a tag', branch: '', tag: 'v2.1.0' },
+    detached: { label: 'Detached HEAD', branch: '' },
+    merging: { label: 'Merge in progress', operation: 'merge', stats: { staged: 2, ahead: 1 } },
+    conflicted: { label: 'Merge conflicts', operation: 'merge', stats: { staged: 1, ahead: 1, conflicts: 2 } },
+    rebasing: { label: 'Rebase in progress', branch: '', operation: 'rebase', stats: { unstaged: 1 } },
+    long: { label: 'Long branch name', branch: 'feature/statusline-git-state-simulation' }
   };
 
   // --- Typewriter animation registry (per element) ---
@@ -30,168 +98,259 @@
     _twRegistry.delete(el);
   }
 
-  // Ensure only one hero interval exists even if init() re-runs
-  let _heroIntervalId = null;
+  // Ensure only one hero replay runs even if init() re-runs
+  let _heroReplay = null;
+
+  // Whether the preview font draws Nerd Font glyphs; null until checked or when the browser can't tell
+  let nerdFontGlyphs = null;
 
   /* ========== State Management ========== */
+  function defaultLayout() {
+    return {
+      order: Statusline.getSegmentOrder(),
+      hidden: [],
+      lines: [{ separator: 'arrow', align: 'left' }],
+      lineOf: {},
+      width: null,
+      fit: 'clip',
+      ascii: false
+    };
+  }
+
   const state = {
     currentStyle: 'segments',
-    model: 'OPUS',
+    model: 'Opus', // model.display_name as Claude Code sends it
     cost: 0.0456,
     duration: 125000, // ms
-    gitStatus: 'dirty', // 'none' | 'clean' | 'staged' | 'dirty'
-    gitBranch: 'main',
-    gitStats: { staged: 3, unstaged: 2, ahead: 1 },
-    contextUsage: 45, // percent
+    apiDuration: 45000, // ms
+    gitStatus: 'dirty', // 'none', or derived by Statusline.getGitState
+    gitBranch: 'main', // '' when HEAD is detached
+    gitTag: '', // tag at HEAD, shown when detached
+    gitOperation: '', // '' | 'merge' | 'rebase'
+    gitStats: Statusline.normalizeGitStats({ staged: 3, unstaged: 2, ahead: 1 }),
+    contextUsage: 45, // percent, null when no transcript is available
+    contextTokens: null, // tokens in context; takes precedence over contextUsage when known
+    usage: null, // { input, output } tokens billed so far, priced for the burn rate while cost is 0
     linesAdded: 45,
     linesRemoved: 12,
-    currentDir: '~/projects/claude-statusline'
+    currentDir: '~/projects/claude-statusline',
+    projectDir: '',
+    layout: defaultLayout(), // builder: segment order, hidden segments, lines, terminal width, fit and ASCII-only mode
+    format: '', // format string that replaces the style's segments ('' for none)
+    costOptions: Statusline.resolveCostOptions(), // thresholds, decimals, currency
+    pathOptions: Paths.resolvePathOptions(), // home directory and path width
+    models: [], // custom model registry entries, matched before the built-in ones
+    theme: Themes.DEFAULT_THEME,
+    themes: [], // imported themes, listed after the built-in ones
+    terminalBackground: 'theme' // 'theme' | 'dark' | 'light'
   };
 
-  /* ========== Statusline Generators ========== */
+  // The hero animation mutates its own copy so it never clobbers playground data
+  const heroState = Object.assign({}, state);
+
+  /* ========== Claude Code Input ========== */
+
+  const SAMPLE_INPUT = {
+    model: { id: 'claude-opus-4-1', display_name: 'Opus' },
+    workspace: {
+      current_dir: '/home/user/projects/claude-statusline/docs',
+      project_dir: '/home/user/projects/claude-statusline'
+    },
+    cost: {
+      total_cost_usd: 0.0456,
+      total_duration_ms: 125000,
+      total_api_duration_ms: 45000,
+      total_lines_added: 45,
+      total_lines_removed: 12
+    },
+    session_id: 'sample-session',
+    transcript_path: ''
+  };
 
   /**
-   * Generate basic statusline format
+   * A recorded session to replay: the stdin payloads Claude Code sent over ~40
+   * minutes, annotated with the git state and context size the script saw
    */
-  function generateBasicStatusline() {
-    const host = 'localhost';
-    const user = 'user';
-    const dir = state.currentDir.split('/').pop();
-    return `<span class="text-green">${user}@${host}</span>:<span class="text-blue">~/${dir}</span>`;
+  function buildSampleSession() {
+    const steps = [
+      // minutes, cost, api seconds, added, removed, git [staged, unstaged, ahead], context tokens
+      [0.5, 0.012, 6, 0, 0, [0, 0, 0], 14000],
+      [2, 0.046, 21, 12, 2, [0, 1, 0], 26000],
+      [4, 0.11, 48, 38, 6, [0, 3, 0], 41000],
+      [7, 0.23, 95, 64, 15, [0, 4, 0], 58000],
+      [9, 0.31, 130, 70, 18, [4, 0, 0], 66000],
+      [10, 0.33, 138, 70, 18, [0, 0, 1], 69000],
+      [14, 0.52, 210, 112, 31, [0, 2, 1], 88000],
+      [19, 0.81, 320, 180, 44, [0, 5, 1], 112000],
+      [24, 1.12, 430, 236, 60, [0, 7, 1], 131000],
+      [28, 1.38, 510, 262, 71, [7, 0, 1], 147000],
+      [29, 1.41, 520, 262, 71, [0, 0, 2], 149000],
+      [34, 1.86, 640, 305, 96, [0, 3, 2], 166000],
+      [40, 2.41, 780, 352, 118, [0, 2, 2], 178000]
+    ];
+
+    return steps.map(([minutes, cost, apiSeconds, added, removed, git, tokens]) => ({
+      model: { id: 'claude-opus-4-1', display_name: 'Opus' },
+      workspace: {
+        current_dir: '/home/user/projects/claude-statusline/docs',
+        project_dir: '/home/user/projects/claude-statusline'
+      },
+      cost: {
+        total_cost_usd: cost,
+        total_duration_ms: minutes * 60000,
+        total_api_duration_ms: apiSeconds * 1000,
+        total_lines_added: added,
+        total_lines_removed: removed
+      },
+      session_id: 'sample-session',
+      git: { branch: 'feature/replay', staged: git[0], unstaged: git[1], ahead: git[2] },
+      context_tokens: tokens
+    }));
   }
 
+  /* ========== Statusline Rendering ========== */
+
   /**
-   * Generate minimal statusline format
+   * Display options the shared renderer takes alongside the session data
    */
-  function generateMinimalStatusline() {
-    const segments = [];
-
-    // Model segment
-    segments.push(`<span class="segment segment--model">${state.model}</span>`);
-
-    // Directory segment
-    const shortDir =
-      state.currentDir.length > 20
-        ? '…/' + state.currentDir.split('/').slice(-2).join('/')
-        : state.currentDir;
-    segments.push(`<span class="segment segment--dir">${shortDir}</span>`);
+  function renderOptions(source) {
+    return {
+      layout: source.layout,
+      width: source.layout.width,
+      ascii: source.layout.ascii,
+      cost: source.costOptions,
+      paths: source.pathOptions,
+      models: source.models,
+      colors: Themes.getTheme(source.theme, source.themes).colors
+    };
+  }
 
-    // Git segment
-    if (state.gitStatus !== 'none') {
-      const gitIcon = state.gitStatus === 'clean' ? '✓' : '*';
-      segments.push(`<span class="segment segment--git">⎇ ${state.gitBranch}${gitIcon}</span>`);
+  /**
+   * Segments for a source: its format string when it has one that parses (the
+   * basic style has no segments to replace), its style's otherwise
+   */
+  function renderSegments(source, options) {
+    if (source.format && source.currentStyle !== 'basic') {
+      const { errors, segments } = Format.renderFormat(source.format, source.currentStyle, source, options);
+      if (!errors.length) return segments;
     }
-
-    // Cost segment
-    const costClass = getCostClass(state.cost);
-    segments.push(`<span class="segment segment--${costClass}">$${state.cost.toFixed(4)}</span>`);
-
-    // Duration segment
-    const timeStr = formatDuration(state.duration);
-    segments.push(`<span class="segment segment--time">${timeStr}</span>`);
-
-    return segments.join('<span class="segment-separator">▶</span>');
+    return Statusline.render(source.currentStyle, source, options);
   }
 
   /**
-   * Generate full segments statusline format
+   * Draw a [data-themed] preview in its theme's terminal colors; segments then
+   * use the inline colors toHTML writes instead of the site's stylesheet
    */
-  function generateSegmentsStatusline() {
-    const segments = [];
-
-    // Model segment with emoji
-    const emoji = MODEL_EMOJIS[state.model] || '🤖';
-    segments.push(`<span class="segment segment--model">${emoji} ${state.model}</span>`);
-
-    // Directory segment
-    const shortDir =
-      state.currentDir.length > 25
-        ? '…/' + state.currentDir.split('/').slice(-2).join('/')
-        : state.currentDir;
-    segments.push(`<span class="segment segment--dir">📁 ${shortDir}</span>`);
+  function applyPreviewTheme(element, source) {
+    if (!element.hasAttribute('data-themed')) return;
+    const theme = Themes.getTheme(source.theme, source.themes);
+    const colors = Themes.getTerminal(theme, source.terminalBackground);
+    const terminal = element.closest('.terminal') || element;
+    element.classList.add('statusline-preview--themed');
+    terminal.classList.add('terminal--themed');
+    terminal.style.setProperty('--terminal-bg', colors.background);
+    terminal.style.setProperty('--terminal-fg', colors.foreground);
+  }
 
-    // Git segment with stats
-    if (state.gitStatus !== 'none') {
-      let gitText = `⎇ ${state.gitBranch}`;
-      if (state.gitStatus === 'staged') {
-        gitText += ` +${state.gitStats.staged}`;
-      } else if (state.gitStatus === 'dirty') {
-        gitText += ` +${state.gitStats.staged} ~${state.gitStats.unstaged}`;
-        if (state.gitStats.ahead > 0) gitText += ` ↑${state.gitStats.ahead}`;
-      }
-      segments.push(`<span class="segment segment--git">${gitText}</span>`);
+  /**
+   * Run the WCAG contrast check (accessibility.js) over a themed preview and
+   * list the text runs that fail under the preview
+   */
+  function checkPreviewContrast(element) {
+    const report = document.getElementById('contrast-report');
+    if (!element.hasAttribute('data-themed') || !report || !window.a11y) return;
+
+    const failures = window.a11y.checkStatuslineContrast(element).filter((result) => !result.passes);
+    report.hidden = false;
+    report.classList.toggle('contrast-report--fail', failures.length > 0);
+    if (!failures.length) {
+      report.textContent = 'All segments meet WCAG AA contrast.';
+      return;
     }
-
-    // Cost segment with burn rate
-    const costClass = getCostClass(state.cost);
-    const burnRate = calculateBurnRate(state.cost, state.duration);
-    const costEmoji = state.cost > COST_THRESHOLDS.medium ? '💸' : '💰';
-    segments.push(
-      `<span class="segment segment--${costClass}">${costEmoji} $${state.cost.toFixed(4)} ${burnRate}</span>`
-    );
-
-    // Duration with efficiency
-    const timeStr = formatDuration(state.duration);
-    const efficiency = state.duration > 60000 ? '⚡' : '✨';
-    segments.push(`<span class="segment segment--time">⏱ ${timeStr} ${efficiency}</span>`);
-
-    // Context usage
-    const contextBar = generateContextBar(state.contextUsage);
-    segments.push(`<span class="segment segment--context">📊 ${state.contextUsage}% ${contextBar}</span>`);
-
-    // Line changes
-    const netLines = state.linesAdded - state.linesRemoved;
-    const netSymbol = netLines > 0 ? '↑' : netLines < 0 ? '↓' : '=';
-    segments.push(
-      `<span class="segment segment--changes">📝 +${state.linesAdded}/-${state.linesRemoved} ${netSymbol}${Math.abs(
-        netLines
-      )}</span>`
-    );
-
-    return segments.join('<span class="segment-separator">▶</span>');
+    const items = failures
+      .map((result) => `<li><span class="contrast-report__text">${Statusline.escapeHTML(result.text)}</span> ${result.ratio.toFixed(1)}:1</li>`)
+      .join('');
+    const count = failures.length === 1 ? '1 segment' : `${failures.length} segments`;
+    report.innerHTML = `${count} below WCAG AA contrast:<ul class="contrast-report__list">${items}</ul>`;
   }
 
-  /* ========== Utility Functions ========== */
-
   /**
-   * Get cost class based on threshold
+   * Under the playground preview, say how many columns the line needs at the
+   * simulated terminal width and what the priority layout shortened or dropped
    */
-  function getCostClass(cost) {
-    if (cost > COST_THRESHOLDS.medium) return 'cost-high';
-    if (cost > COST_THRESHOLDS.low) return 'cost-medium';
-    return 'cost-low';
+  function reportWidth(segments, source, options) {
+    const report = document.getElementById('width-report');
+    if (!report) return;
+    const width = options.width;
+    report.hidden = !width;
+    if (!width) return;
+
+    const full = renderSegments(source, Object.assign({}, options, { width: null }));
+    const needed = Statusline.lineWidth(full, source.currentStyle, options);
+    const used = Statusline.lineWidth(segments, source.currentStyle, options);
+    const label = (segment) => segmentLabel(segment.id);
+    const dropped = full.filter((segment) => !segments.some((shown) => shown.id === segment.id)).map(label);
+    const shortened = segments
+      .filter((segment) => full.some((original) => original.id === segment.id && original.text !== segment.text))
+      .map(label);
+
+    const notes = [];
+    if (shortened.length) notes.push(`shortened ${shortened.join(', ')}`);
+    if (dropped.length) notes.push(`dropped ${dropped.join(', ')}`);
+    const summary = used > width
+      ? `Needs ${used} of ${width} columns; the last ${used - width} are cut off`
+      : `Fits in ${width} columns: ${used} used${needed > used ? `, down from ${needed}` : ''}`;
+    report.classList.toggle('width-report--overflow', used > width);
+    report.textContent = notes.length ? `${summary}; ${notes.join('; ')}.` : `${summary}.`;
   }
 
   /**
-   * Format duration to human readable
+   * Options for an HTML preview: Nerd Font separators become ASCII when the
+   * page's font can't draw them. Exported scripts keep the real choice.
    */
-  function formatDuration(ms) {
-    const minutes = Math.floor(ms / 60000);
-    const seconds = Math.floor((ms % 60000) / 1000);
-    return minutes > 0 ? `${minutes}m${seconds}s` : `${seconds}s`;
+  function previewOptions(options) {
+    if (nerdFontGlyphs !== false) return options;
+    const lines = Statusline.resolveLines(options.layout).map((line) =>
+      Statusline.NERD_FONT_SEPARATORS.includes(line.separator) ? Object.assign({}, line, { separator: 'ascii' }) : line
+    );
+    return Object.assign({}, options, { layout: Object.assign({}, options.layout, { lines }) });
   }
 
   /**
-   * Calculate burn rate ($/hour), graceful for very short durations
+   * Under the line settings, say when the preview shows Nerd Font separators as ASCII
    */
-  function calculateBurnRate(cost, duration) {
-    if (duration < 60000) return '';
-    const hours = duration / 3600000;
-    if (hours <= 0) return '';
-    const rate = cost / hours;
-    return `$${rate.toFixed(2)}/h`;
+  function reportFontFallback(source) {
+    const note = document.getElementById('nerd-font-note');
+    if (!note) return;
+    note.hidden = !(
+      nerdFontGlyphs === false &&
+      !source.layout.ascii &&
+      Statusline.resolveLines(source.layout).some((line) => Statusline.NERD_FONT_SEPARATORS.includes(line.separator))
+    );
   }
 
   /**
-   * Generate context usage bar
+   * Whether an element's font draws the powerline separator. Without the glyph
+   * the browser draws the same missing-glyph box as for a code point no font
+   * has (U+10FFFD). null when there is no canvas to draw on.
    */
-  function generateContextBar(percentage) {
-    const barWidth = 8;
-    const filled = Math.round((percentage * barWidth) / 100);
-    let bar = '[';
-    for (let i = 0; i < barWidth; i++) bar += i < filled ? '█' : '░';
-    bar += ']';
-    return bar;
+  function hasNerdFontGlyphs(element) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return null;
+
+    const size = 32;
+    canvas.width = size;
+    canvas.height = size;
+    context.font = `${size / 2}px ${getComputedStyle(element).fontFamily}`;
+    context.textBaseline = 'top';
+    const pixels = (text) => {
+      context.clearRect(0, 0, size, size);
+      context.fillText(text, 0, 0);
+      return Array.from(context.getImageData(0, 0, size, size).data).join();
+    };
+    const glyph = pixels(Statusline.SEPARATORS.powerline);
+    return glyph !== pixels('\u{10FFFD}') && /[1-9]/.test(glyph);
   }
 
   /**
@@ -270,22 +429,19 @@
   /**
    * Update statusline with optional animation (fade-out -> typewriter)
    */
-  function updateStatusline(elementId, animate = true) {
+  function updateStatusline(elementId, animate = true, source = state) {
     const element = document.getElementById(elementId);
     if (!element) return;
 
-    let content;
-    switch (state.currentStyle) {
-      case 'basic':
-        content = generateBasicStatusline();
-        break;
-      case 'minimal':
-        content = generateMinimalStatusline();
-        break;
-      case 'segments':
-      default:
-        content = generateSegmentsStatusline();
-        break;
+    const options = previewOptions(renderOptions(source));
+    const segments = renderSegments(source, options);
+    const content = Statusline.toHTML(segments, source.currentStyle, options);
+    element.classList.remove('statusline-preview--ansi');
+    applyPreviewTheme(element, source);
+    if (source === state) {
+      syncPlaygroundControls();
+      reportWidth(segments, source, options);
+      reportFontFallback(source);
     }
 
     // Cancel any running animation first
@@ -294,6 +450,7 @@
     if (!animate) {
       element.style.opacity = '1';
       element.innerHTML = content;
+      checkPreviewContrast(element);
       return;
     }
 
@@ -309,6 +466,7 @@
       _cancelTypewriter(element); // safety if another update landed
       element.style.opacity = '1';
       typewriterEffect(element, content, TYPEWRITER_SPEED);
+      checkPreviewContrast(element);
     };
 
     const onEnd = () => {
@@ -329,6 +487,21 @@
 
   /* ========== Interactive Components ========== */
 
+  /**
+   * Fill a validation error list with one item per message, hidden when there
+   * are none; field (optional) gets a matching aria-invalid
+   */
+  function renderErrors(list, messages, field) {
+    list.innerHTML = '';
+    messages.forEach((message) => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    list.hidden = messages.length === 0;
+    if (field) field.setAttribute('aria-invalid', String(messages.length > 0));
+  }
+
   /**
    * Initialize playground controls
    */
@@ -359,47 +532,1361 @@
         'input',
         (e) => {
           state.cost = parseFloat(e.target.value);
-          costValue.textContent = `$${state.cost.toFixed(4)}`;
-
-          // Update slider background based on range 0..0.20
-          const maxCost = 0.2;
-          const percentage = Math.max(0, Math.min(100, (state.cost / maxCost) * 100));
-          const color =
-            state.cost > COST_THRESHOLDS.medium
-              ? 'var(--statusline-cost-high)'
-              : state.cost > COST_THRESHOLDS.low
-              ? 'var(--statusline-cost-medium)'
-              : 'var(--statusline-cost-low)';
-
-          costSlider.style.background = `linear-gradient(to right, ${color} ${percentage}%, var(--color-border-default) ${percentage}%)`;
-
+          updateCostSlider();
           updateStatusline('playground-statusline', false);
         },
         PASSIVE
       );
 
-      // Initialize slider background visually
-      costSlider.dispatchEvent(new Event('input'));
     }
 
     // Git status selector
     const gitStatus = document.getElementById('git-status');
     if (gitStatus) {
+      Object.keys(GIT_PRESETS).forEach((name) => {
+        gitStatus.add(new Option(GIT_PRESETS[name].label, name));
+      });
+      const custom = new Option('Custom', 'custom');
+      custom.disabled = true;
+      gitStatus.add(custom);
+
       gitStatus.addEventListener('change', (e) => {
-        state.gitStatus = e.target.value;
+        if (e.target.value === 'none') {
+          state.gitStatus = 'none';
+        } else {
+          const preset = GIT_PRESETS[e.target.value];
+          state.gitBranch = 'branch' in preset ? preset.branch : state.gitBranch || 'main';
+          state.gitTag = preset.tag || '';
+          state.gitOperation = preset.operation || '';
+          state.gitStats = Statusline.normalizeGitStats(preset.stats);
+          state.gitStatus = Statusline.getGitState(state.gitStats, state.gitOperation);
+        }
+        updateStatusline('playground-statusline');
+      });
+    }
+
+    const gitOperation = document.getElementById('git-operation');
+    if (gitOperation) {
+      gitOperation.addEventListener('change', (e) => {
+        state.gitOperation = e.target.value;
+        if (state.gitStatus !== 'none') state.gitStatus = Statusline.getGitState(state.gitStats, state.gitOperation);
+        updateStatusline('playground-statusline', false);
+      });
+    }
 
-        // Update git stats based on status
-        if (e.target.value === 'clean') {
-          state.gitStats = { staged: 0, unstaged: 0, ahead: 0 };
-        } else if (e.target.value === 'staged') {
-          state.gitStats = { staged: 3, unstaged: 0, ahead: 0 };
+    // Context usage: moving the slider replaces any transcript-derived token count
+    const contextSlider = document.getElementById('context-slider');
+    const contextNone = document.getElementById('context-none');
+    if (contextSlider && contextNone) {
+      contextSlider.addEventListener(
+        'input',
+        (e) => {
+          state.contextUsage = parseInt(e.target.value, 10);
+          state.contextTokens = null;
+          updateStatusline('playground-statusline', false);
+        },
+        PASSIVE
+      );
+      contextNone.addEventListener('change', (e) => {
+        state.contextUsage = e.target.checked ? null : parseInt(contextSlider.value, 10);
+        state.contextTokens = null;
+        updateStatusline('playground-statusline', false);
+      });
+    }
+
+    // Plain fields
+    PLAYGROUND_FIELDS.forEach(({ id, key, scale }) => {
+      const field = document.getElementById(id);
+      if (!field) return;
+      field.addEventListener('input', () => {
+        if (field.type === 'number') {
+          const value = Number(field.value);
+          if (field.value === '' || !Number.isFinite(value) || value < 0) return;
+          state[key] = Math.round(value * (scale || 1));
         } else {
-          state.gitStats = { staged: 3, unstaged: 2, ahead: 1 };
+          state[key] = field.value;
         }
+        updateStatusline('playground-statusline', false);
+      });
+    });
 
-        updateStatusline('playground-statusline');
+    // Git counts; the status follows them the way recorded sessions derive it
+    GIT_COUNT_FIELDS.forEach(({ id, key }) => {
+      const field = document.getElementById(id);
+      if (!field) return;
+      field.addEventListener('input', () => {
+        const value = Number(field.value);
+        if (field.value === '' || !Number.isInteger(value) || value < 0) return;
+        state.gitStats = Object.assign({}, state.gitStats, { [key]: value });
+        if (state.gitStatus !== 'none') state.gitStatus = Statusline.getGitState(state.gitStats, state.gitOperation);
+        updateStatusline('playground-statusline', false);
+      });
+    });
+
+    syncPlaygroundControls();
+  }
+
+  /**
+   * Name of the GIT_PRESETS entry a state matches, 'none', or 'custom'
+   */
+  function matchGitPreset(source) {
+    if (source.gitStatus === 'none') return 'none';
+    const stats = Statusline.normalizeGitStats(source.gitStats);
+    // Presets that pin a branch are more specific, so they're tried first
+    const names = Object.keys(GIT_PRESETS).sort((a, b) => ('branch' in GIT_PRESETS[b]) - ('branch' in GIT_PRESETS[a]));
+    const match = names.find((name) => {
+      const preset = GIT_PRESETS[name];
+      const presetStats = Statusline.normalizeGitStats(preset.stats);
+      const detached = preset.branch === '';
+      return (
+        Object.keys(stats).every((key) => stats[key] === presetStats[key]) &&
+        (preset.operation || '') === source.gitOperation &&
+        detached === !source.gitBranch &&
+        (!detached || (preset.tag || '') === source.gitTag) &&
+        (!('branch' in preset) || preset.branch === source.gitBranch)
+      );
+    });
+    return match || 'custom';
+  }
+
+  /**
+   * Reflect state in the playground controls after it changes elsewhere (pasted
+   * JSON, replay, transcripts, permalinks). The focused control is left alone so
+   * typing is never interrupted.
+   */
+  function syncPlaygroundControls() {
+    const set = (id, value) => {
+      const control = document.getElementById(id);
+      if (!control || control === document.activeElement) return;
+      if (control.type === 'checkbox') control.checked = value;
+      else control.value = value;
+    };
+
+    set('style-select', state.currentStyle);
+    set('git-status', matchGitPreset(state));
+    set('git-operation', state.gitOperation);
+    PLAYGROUND_FIELDS.forEach(({ id, key, scale }) => set(id, scale ? state[key] / scale : state[key]));
+    GIT_COUNT_FIELDS.forEach(({ id, key }) => set(id, state.gitStats[key] || 0));
+
+    updateCostSlider();
+    set('cost-slider', state.cost);
+
+    const contextValue = document.getElementById('context-value');
+    const percent = state.contextTokens !== null
+      ? Statusline.getContextPercent(state.contextTokens, Statusline.findModel(state.model, state.models))
+      : state.contextUsage;
+    set('context-none', percent === null);
+    set('context-slider', percent === null ? 0 : Math.min(100, percent));
+    if (contextValue) contextValue.textContent = percent === null ? 'hidden' : `${percent}%`;
+  }
+
+  /**
+   * Sync the cost slider's range, label and fill color with the cost display settings
+   */
+  function updateCostSlider() {
+    const costSlider = document.getElementById('cost-slider');
+    const costValue = document.getElementById('cost-value');
+    if (!costSlider || !costValue) return;
+
+    const options = state.costOptions;
+    costValue.textContent = Statusline.formatCost(state.cost, 4, options);
+
+    // The range (in USD) spans twice the high threshold so every color stays reachable,
+    // stretched when a pasted or replayed session costs more than that
+    const maxCost = Math.max(0.2, (options.medium * 2) / options.rate, state.cost);
+    costSlider.max = String(maxCost);
+    costSlider.step = String(maxCost / 1000);
+
+    const percentage = Math.max(0, Math.min(100, (state.cost / maxCost) * 100));
+    const color = `var(--statusline-cost-${Statusline.getCostLevel(state.cost, options)})`;
+    costSlider.style.background = `linear-gradient(to right, ${color} ${percentage}%, var(--color-border-default) ${percentage}%)`;
+    updateBudgetStatus();
+  }
+
+  /**
+   * Explain the budget projection under the cost slider, so it's clear when the
+   * segments style's alert fires
+   */
+  function updateBudgetStatus() {
+    const status = document.getElementById('budget-status');
+    if (!status) return;
+    const options = state.costOptions;
+    const budget = Statusline.getBudgetStatus(state.cost, state.duration, options);
+    status.hidden = !budget;
+    if (!budget) return;
+
+    const amount = `${options.currency}${options.budget.toFixed(2)}`;
+    let text;
+    if (budget.spent) {
+      text = `${budget.percent}% of the ${amount} budget: spent.`;
+    } else if (budget.minutesLeft === null) {
+      text = `${budget.percent}% of the ${amount} budget; the projection starts after the first minute.`;
+    } else {
+      text = `${budget.percent}% of the ${amount} budget; ${Statusline.formatMinutes(budget.minutesLeft)} left at the current rate.`;
+    }
+    text += budget.alert ? ' Alerting.' : ` Alerts under ${options.alertMinutes}m.`;
+    status.textContent = text;
+    status.classList.toggle('control-hint--alert', budget.alert);
+  }
+
+  /**
+   * Read saved cost display settings; resolveCostOptions drops anything invalid
+   */
+  function loadCostOptions() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(COST_STORAGE_KEY));
+      return stored ? Statusline.resolveCostOptions(stored) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function saveCostOptions(options) {
+    try {
+      localStorage.setItem(COST_STORAGE_KEY, JSON.stringify(options));
+    } catch (err) {
+      console.error('Failed to save cost settings:', err);
+    }
+  }
+
+  /**
+   * Initialize the cost display controls: thresholds, decimal places and an
+   * optional currency with a user-supplied USD rate. Persists in localStorage.
+   */
+  function initCostOptions() {
+    const fields = {
+      low: document.getElementById('cost-low'),
+      medium: document.getElementById('cost-medium'),
+      decimals: document.getElementById('cost-decimals'),
+      currency: document.getElementById('cost-currency'),
+      rate: document.getElementById('cost-rate'),
+      budget: document.getElementById('cost-budget'),
+      alertMinutes: document.getElementById('cost-alert')
+    };
+    if (Object.keys(fields).some((key) => !fields[key])) return;
+
+    function fillFields(options) {
+      fields.low.value = options.low;
+      fields.medium.value = options.medium;
+      fields.decimals.value = options.decimals === null ? '' : String(options.decimals);
+      fields.currency.value = options.currency;
+      fields.rate.value = options.rate;
+      fields.budget.value = options.budget === null ? '' : options.budget;
+      fields.alertMinutes.value = options.alertMinutes;
+    }
+
+    function setCostOptions(next) {
+      state.costOptions = next;
+      saveCostOptions(next);
+      updateCostSlider();
+      updateStatusline('playground-statusline', false);
+    }
+
+    function readFields() {
+      const number = (input) => (input.value.trim() === '' ? undefined : Number(input.value));
+      const options = Statusline.resolveCostOptions({
+        low: number(fields.low),
+        medium: number(fields.medium),
+        decimals: fields.decimals.value === '' ? null : parseInt(fields.decimals.value, 10),
+        currency: fields.currency.value,
+        rate: number(fields.rate),
+        budget: number(fields.budget),
+        alertMinutes: number(fields.alertMinutes)
+      });
+
+      // Flag values that were rejected instead of silently snapping them back
+      fields.medium.setAttribute('aria-invalid', String(number(fields.medium) < options.low));
+      fields.rate.setAttribute('aria-invalid', String(number(fields.rate) !== undefined && !(number(fields.rate) > 0)));
+      fields.budget.setAttribute('aria-invalid', String(number(fields.budget) !== undefined && !(number(fields.budget) > 0)));
+      fields.alertMinutes.setAttribute(
+        'aria-invalid',
+        String(number(fields.alertMinutes) !== undefined && options.alertMinutes !== number(fields.alertMinutes))
+      );
+      return options;
+    }
+
+    Object.keys(fields).forEach((key) => {
+      fields[key].addEventListener(key === 'decimals' ? 'change' : 'input', () => setCostOptions(readFields()));
+    });
+
+    const resetButton = document.getElementById('cost-reset');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        const defaults = Statusline.resolveCostOptions();
+        fillFields(defaults);
+        readFields();
+        setCostOptions(defaults);
+      });
+    }
+
+    fillFields(state.costOptions);
+    updateCostSlider();
+  }
+
+  /**
+   * Read saved path display settings; resolvePathOptions drops anything invalid
+   */
+  function loadPathOptions() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PATHS_STORAGE_KEY));
+      return stored ? Paths.resolvePathOptions(stored) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function savePathOptions(options) {
+    try {
+      localStorage.setItem(PATHS_STORAGE_KEY, JSON.stringify(options));
+    } catch (err) {
+      console.error('Failed to save path settings:', err);
+    }
+  }
+
+  /**
+   * Initialize the path display controls: the home directory shown as ~
+   * (detected from the path when empty) and the width paths are shortened at
+   */
+  function initPathOptions() {
+    const home = document.getElementById('path-home');
+    const width = document.getElementById('path-width');
+    if (!home || !width) return;
+
+    home.value = state.pathOptions.home || '';
+    width.value = state.pathOptions.maxWidth;
+
+    const update = () => {
+      const maxWidth = Number(width.value);
+      width.setAttribute('aria-invalid', String(width.value !== '' && !(Number.isInteger(maxWidth) && maxWidth > 0)));
+      state.pathOptions = Paths.resolvePathOptions({ home: home.value, maxWidth });
+      savePathOptions(state.pathOptions);
+      updateStatusline('playground-statusline', false);
+    };
+    home.addEventListener('input', update);
+    width.addEventListener('input', update);
+  }
+
+  function loadFormat() {
+    try {
+      const stored = localStorage.getItem(FORMAT_STORAGE_KEY);
+      return typeof stored === 'string' ? stored : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function saveFormat(format) {
+    try {
+      localStorage.setItem(FORMAT_STORAGE_KEY, format);
+    } catch (err) {
+      console.error('Failed to save format string:', err);
+    }
+  }
+
+  /**
+   * Initialize the format string field: errors are listed under it by column,
+   * and a format only replaces the playground's segments once it parses. The
+   * reference table lists placeholders, plugin segments included.
+   */
+  function initFormat() {
+    const input = document.getElementById('format-input');
+    const errorList = document.getElementById('format-errors');
+    if (!input || !errorList) return;
+
+    const table = document.getElementById('format-reference');
+    let debounceId = 0;
+
+    const showErrors = (errors) =>
+      renderErrors(errorList, errors.map((error) => `Column ${error.start + 1}: ${error.message}`), input);
+
+    function applyFormat() {
+      const format = input.value.trim();
+      const { errors } = Format.parseFormat(format);
+      showErrors(errors);
+      if (errors.length) return;
+
+      state.format = format;
+      saveFormat(format);
+      updateStatusline('playground-statusline', false);
+    }
+
+    function renderReference() {
+      if (!table) return;
+      const escape = Statusline.escapeHTML;
+      const rows = Format.reference().map((row) => {
+        const modifiers = row.modifiers
+          .map((modifier) => `<li><code>${escape(modifier.syntax)}</code> ${escape(modifier.description)}</li>`)
+          .join('');
+        return `<tr><td>${row.name ? `<code>{${escape(row.name)}}</code>` : ''}</td><td>${escape(row.description)}</td><td>${modifiers ? `<ul>${modifiers}</ul>` : '—'}</td></tr>`;
+      });
+      table.innerHTML = `<thead><tr><th>Placeholder</th><th>Shows</th><th>Modifiers</th></tr></thead><tbody>${rows.join('')}</tbody>`;
+    }
+
+    input.addEventListener('input', () => {
+      clearTimeout(debounceId);
+      debounceId = setTimeout(applyFormat, INPUT_DEBOUNCE);
+    });
+
+    // Plugins add placeholders; a saved format may use one that just arrived
+    Statusline.onRegisterSegment(() => {
+      renderReference();
+      showErrors(Format.parseFormat(input.value.trim()).errors);
+    });
+
+    input.value = state.format;
+    showErrors(Format.parseFormat(state.format).errors);
+    renderReference();
+  }
+
+  /**
+   * Read saved custom models, keeping only entries that still validate
+   */
+  function loadModels() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MODELS_STORAGE_KEY));
+      if (!Array.isArray(stored)) return null;
+      return stored.map((entry) => Statusline.normalizeModel(entry).model).filter(Boolean);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function saveModels(models) {
+    try {
+      localStorage.setItem(MODELS_STORAGE_KEY, JSON.stringify(models));
+    } catch (err) {
+      console.error('Failed to save custom models:', err);
+    }
+  }
+
+  /**
+   * Initialize the model registry controls: the model selector lists every
+   * registry entry, and the form adds custom ones (persisted in localStorage)
+   */
+  function initModelRegistry() {
+    const modelSelect = document.getElementById('model-select');
+    const list = document.getElementById('custom-models');
+    const form = document.getElementById('model-form');
+    const errorList = document.getElementById('model-errors');
+    if (!modelSelect || !list || !form || !errorList) return;
+
+    function renderSelect() {
+      const registry = Statusline.getModelRegistry(state.models);
+      // First match wins, as in findModel
+      const current = registry.findIndex((model) => state.model.includes(model.pattern));
+      modelSelect.innerHTML = '';
+      registry.forEach((model, index) => {
+        const option = document.createElement('option');
+        option.value = model.pattern;
+        option.textContent = `${model.emoji} ${model.label}`;
+        option.selected = index === current;
+        modelSelect.appendChild(option);
+      });
+    }
+
+    function renderList() {
+      list.innerHTML = '';
+      state.models.forEach((model, index) => {
+        const item = document.createElement('li');
+        item.className = 'model-list__item';
+        const tokens = model.contextWindow.toLocaleString('en-US');
+        const pricing = model.pricing ? ` · $${model.pricing.input}/$${model.pricing.output} per MTok` : '';
+        item.innerHTML = `
+          <span class="model-list__name">${Statusline.escapeHTML(`${model.emoji} ${model.label}`)}</span>
+          <span class="model-list__meta">“${Statusline.escapeHTML(model.pattern)}” · ${tokens} tokens${pricing}</span>
+          <button type="button" class="builder__move" data-remove="${index}" aria-label="Remove ${Statusline.escapeHTML(model.label)}">×</button>
+        `;
+        list.appendChild(item);
+      });
+      list.hidden = state.models.length === 0;
+    }
+
+    function setModels(next) {
+      state.models = next;
+      saveModels(next);
+      renderSelect();
+      renderList();
+      updateStatusline('playground-statusline', false);
+    }
+
+    const showErrors = (errors) => renderErrors(errorList, errors);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const value = (name) => form.elements[name].value.trim();
+      const number = (name) => (value(name) === '' ? NaN : Number(value(name)));
+      const hasPricing = value('priceInput') !== '' || value('priceOutput') !== '';
+
+      const { errors, model } = Statusline.normalizeModel({
+        pattern: value('pattern'),
+        emoji: value('emoji'),
+        label: value('label'),
+        contextWindow: number('contextWindow'),
+        pricing: hasPricing ? { input: number('priceInput'), output: number('priceOutput') } : null
+      });
+      showErrors(errors);
+      if (!model) return;
+
+      // Re-adding a pattern replaces the earlier entry; the new model becomes the selected one
+      state.model = model.pattern;
+      setModels([model].concat(state.models.filter((entry) => entry.pattern !== model.pattern)));
+      form.reset();
+    });
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove]');
+      if (!button) return;
+      const index = parseInt(button.dataset.remove, 10);
+      setModels(state.models.filter((_, i) => i !== index));
+    });
+
+    renderSelect();
+    renderList();
+  }
+
+  /**
+   * Read the saved theme choice and imported themes, re-validating each import
+   */
+  function loadThemes() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY));
+      if (!stored || typeof stored !== 'object' || !Array.isArray(stored.themes)) return null;
+      const themes = stored.themes.map((entry) => Themes.validateTheme(entry).theme).filter(Boolean);
+      return {
+        theme: typeof stored.theme === 'string' ? stored.theme : Themes.DEFAULT_THEME,
+        themes,
+        background: Object.prototype.hasOwnProperty.call(Themes.TERMINAL_BACKGROUNDS, stored.background) ? stored.background : 'theme'
+      };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function saveThemes() {
+    try {
+      const stored = { theme: state.theme, themes: state.themes, background: state.terminalBackground };
+      localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(stored));
+    } catch (err) {
+      console.error('Failed to save themes:', err);
+    }
+  }
+
+  /**
+   * Initialize the theme picker: built-in and imported themes recolor the
+   * playground preview and exported scripts; themes import/export as JSON files.
+   * The terminal background can be forced dark or light to check a palette on both.
+   */
+  function initThemes() {
+    const select = document.getElementById('theme-select');
+    const fileInput = document.getElementById('theme-file');
+    const exportButton = document.getElementById('theme-export');
+    const removeButton = document.getElementById('theme-remove');
+    const errorList = document.getElementById('theme-errors');
+    const backgroundSelect = document.getElementById('terminal-background');
+    if (!select || !fileInput || !exportButton || !removeButton || !errorList) return;
+
+    if (backgroundSelect) {
+      backgroundSelect.value = state.terminalBackground;
+      backgroundSelect.addEventListener('change', () => {
+        state.terminalBackground = backgroundSelect.value;
+        saveThemes();
+        updateStatusline('playground-statusline', false);
+      });
+    }
+
+    function renderSelect() {
+      select.innerHTML = '';
+      Themes.listThemes(state.themes).forEach((theme) => {
+        const option = document.createElement('option');
+        option.value = theme.name;
+        option.textContent = Themes.THEMES[theme.name] ? theme.label : `${theme.label} (imported)`;
+        option.selected = theme.name === state.theme;
+        select.appendChild(option);
+      });
+      removeButton.disabled = !state.themes.some((theme) => theme.name === state.theme);
+    }
+
+    function setTheme(name, themes = state.themes) {
+      state.themes = themes;
+      state.theme = Themes.getTheme(name, themes).name;
+      saveThemes();
+      renderSelect();
+      updateStatusline('playground-statusline', false);
+    }
+
+    const showErrors = (errors) => renderErrors(errorList, errors);
+
+    select.addEventListener('change', () => {
+      showErrors([]);
+      setTheme(select.value);
+    });
+
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      file
+        .text()
+        .then((text) => {
+          const { errors, theme } = Themes.importTheme(text);
+          showErrors(errors.map((message) => `${file.name}: ${message}`));
+          // Importing a theme with an existing name replaces it
+          if (theme) setTheme(theme.name, state.themes.filter((entry) => entry.name !== theme.name).concat(theme));
+        })
+        .catch((err) => showErrors([`Could not read ${file.name}: ${err.message}`]));
+      fileInput.value = '';
+    });
+
+    exportButton.addEventListener('click', () => {
+      const theme = Themes.getTheme(state.theme, state.themes);
+      const text = Themes.exportTheme(theme);
+      downloadFile(`${JSON.parse(text).name}.json`, text, 'application/json');
+    });
+
+    removeButton.addEventListener('click', () => {
+      showErrors([]);
+      setTheme(Themes.DEFAULT_THEME, state.themes.filter((theme) => theme.name !== state.theme));
+    });
+
+    renderSelect();
+  }
+
+  /**
+   * Read the saved builder layout, ignoring anything that does not look like one
+   */
+  function loadLayout() {
+    try {
+      return normalizeLayout(JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY)));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate a stored or shared layout; null when it does not look like one
+   */
+  function normalizeLayout(layout) {
+    if (!layout || !Array.isArray(layout.order) || !Array.isArray(layout.hidden)) return null;
+
+    // Keep registered ids only; a segment added since the layout was saved goes
+    // after the one it follows by default (first if none)
+    const known = Statusline.getSegmentOrder();
+    const order = layout.order.filter((id) => known.includes(id));
+    known.forEach((id, index) => {
+      if (!order.includes(id)) order.splice(order.indexOf(known[index - 1]) + 1, 0, id);
+    });
+    const hidden = layout.hidden.filter((id) => order.includes(id));
+
+    // Layouts from before multi-line support have a single separator instead of lines.
+    // Line assignments are kept past the line count, so adding a line back restores them.
+    const lines = Statusline.resolveLines(layout);
+    const lineOf = {};
+    if (layout.lineOf && typeof layout.lineOf === 'object') {
+      order.forEach((id) => {
+        const line = layout.lineOf[id];
+        if (Number.isInteger(line) && line > 0 && line < Statusline.MAX_LINES) lineOf[id] = line;
       });
     }
+
+    const width = Number.isInteger(layout.width) && layout.width >= MIN_TERMINAL_WIDTH ? layout.width : null;
+    const fit = layout.fit === 'priority' ? 'priority' : 'clip';
+    return { order, hidden, lines, lineOf, width, fit, ascii: layout.ascii === true };
+  }
+
+  function saveLayout(layout) {
+    try {
+      localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(layout));
+    } catch (err) {
+      console.error('Failed to save layout:', err);
+    }
+  }
+
+  /**
+   * Builder label of a registered segment (plugins name their own)
+   */
+  function segmentLabel(id) {
+    const segment = Statusline.listSegments().find((entry) => entry.id === id);
+    return segment ? segment.label : id;
+  }
+
+  /**
+   * Check the preview font for Nerd Font glyphs once web fonts have loaded
+   */
+  function initFontCheck() {
+    const preview = document.getElementById('playground-statusline');
+    if (!preview) return;
+
+    const check = () => {
+      nerdFontGlyphs = hasNerdFontGlyphs(preview);
+      updateStatusline('playground-statusline', false);
+    };
+    if (document.fonts && document.fonts.ready) document.fonts.ready.then(check);
+    else check();
+  }
+
+  /**
+   * Initialize the visual builder: toggle segments, drag (or use the arrow
+   * buttons) to reorder them, split them over up to three lines with their own
+   * separator and alignment. Layout persists in localStorage.
+   * Segments registered later (Statusline.registerSegment) join the list.
+   */
+  function initBuilder() {
+    const list = document.getElementById('segment-builder');
+    if (!list) return;
+
+    const lineCount = document.getElementById('line-count');
+    const lineSettings = document.getElementById('line-settings');
+    const widthInput = document.getElementById('terminal-width');
+    const fitSelect = document.getElementById('fit-select');
+    const asciiToggle = document.getElementById('ascii-mode');
+    const resetButton = document.getElementById('builder-reset');
+    let draggedId = null;
+
+    function setLayout(next) {
+      state.layout = next;
+      saveLayout(next);
+      renderList();
+      renderLines();
+      updateStatusline('playground-statusline', false);
+    }
+
+    function setLineCount(count) {
+      const lines = state.layout.lines.slice(0, count);
+      while (lines.length < count) lines.push({ separator: lines[lines.length - 1].separator, align: 'left' });
+
+      let lineOf = state.layout.lineOf;
+      if (state.layout.lines.length === 1 && count > 1 && !Object.keys(lineOf).length) {
+        lineOf = {};
+        state.layout.order
+          .filter((id) => !state.layout.hidden.includes(id))
+          .slice(FIRST_LINE_SEGMENTS)
+          .forEach((id) => {
+            lineOf[id] = 1;
+          });
+      }
+      setLayout(Object.assign({}, state.layout, { lines, lineOf }));
+    }
+
+    function setLine(index, field, value) {
+      const lines = state.layout.lines.map((line, i) => (i === index ? Object.assign({}, line, { [field]: value }) : line));
+      setLayout(Object.assign({}, state.layout, { lines }));
+    }
+
+    // Separator and alignment selects for each line
+    function renderLines() {
+      if (lineCount) lineCount.value = String(state.layout.lines.length);
+      if (!lineSettings) return;
+
+      const options = (labels, selected) =>
+        Object.keys(labels)
+          .map((key) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${labels[key]}</option>`)
+          .join('');
+      lineSettings.innerHTML = state.layout.lines
+        .map(
+          (line, index) => `
+          <div class="line-settings__row" role="group" aria-label="Line ${index + 1}">
+            <span class="line-settings__name">Line ${index + 1}</span>
+            <select class="select" data-line="${index}" data-field="separator" aria-label="Line ${index + 1} separator">${options(SEPARATOR_LABELS, line.separator)}</select>
+            <select class="select" data-line="${index}" data-field="align" aria-label="Line ${index + 1} alignment">${options(ALIGN_LABELS, line.align)}</select>
+          </div>`
+        )
+        .join('');
+    }
+
+    function move(id, offset) {
+      const order = state.layout.order.slice();
+      const from = order.indexOf(id);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= order.length) return;
+      order.splice(from, 1);
+      order.splice(to, 0, id);
+      setLayout(Object.assign({}, state.layout, { order }));
+      const button = list.querySelector(`[data-segment="${id}"] [data-move="${offset}"]`);
+      if (button && !button.disabled) button.focus();
+    }
+
+    function renderList() {
+      list.innerHTML = '';
+      const { order, hidden, lines, lineOf } = state.layout;
+      const lineSelect = (id, label) => {
+        const current = Math.min(lineOf[id] || 0, lines.length - 1);
+        const options = lines
+          .map((_, n) => `<option value="${n}" ${n === current ? 'selected' : ''}>Line ${n + 1}</option>`)
+          .join('');
+        return `<select class="builder__line" aria-label="Line for ${label}">${options}</select>`;
+      };
+
+      order.forEach((id, index) => {
+        const label = Statusline.escapeHTML(segmentLabel(id));
+        const item = document.createElement('li');
+        item.className = 'builder__item';
+        item.draggable = true;
+        item.dataset.segment = id;
+        if (hidden.includes(id)) item.classList.add('builder__item--hidden');
+
+        item.innerHTML = `
+          <span class="builder__handle" aria-hidden="true">⋮⋮</span>
+          <input type="checkbox" id="builder-${id}" ${hidden.includes(id) ? '' : 'checked'}>
+          <label for="builder-${id}">${label}</label>
+          ${lines.length > 1 ? lineSelect(id, label) : ''}
+          <button type="button" class="builder__move" data-move="-1" aria-label="Move ${label} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button type="button" class="builder__move" data-move="1" aria-label="Move ${label} down" ${index === order.length - 1 ? 'disabled' : ''}>↓</button>
+        `;
+        list.appendChild(item);
+      });
+    }
+
+    list.addEventListener('change', (e) => {
+      const item = e.target.closest('.builder__item');
+      if (!item) return;
+      const id = item.dataset.segment;
+      if (e.target.classList.contains('builder__line')) {
+        const lineOf = Object.assign({}, state.layout.lineOf, { [id]: parseInt(e.target.value, 10) });
+        if (!lineOf[id]) delete lineOf[id];
+        setLayout(Object.assign({}, state.layout, { lineOf }));
+        return;
+      }
+      const hidden = state.layout.hidden.filter((h) => h !== id);
+      if (!e.target.checked) hidden.push(id);
+      setLayout(Object.assign({}, state.layout, { hidden }));
+    });
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('.builder__move');
+      if (!button) return;
+      move(button.closest('.builder__item').dataset.segment, parseInt(button.dataset.move, 10));
+    });
+
+    // Drag and drop reordering
+    list.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('.builder__item');
+      if (!item) return;
+      draggedId = item.dataset.segment;
+      item.classList.add('builder__item--dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', draggedId);
+    });
+
+    list.addEventListener('dragover', (e) => {
+      if (!draggedId) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    });
+
+    list.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const target = e.target.closest('.builder__item');
+      if (!draggedId || !target || target.dataset.segment === draggedId) return;
+
+      // Drop before the target when over its top half, after it otherwise
+      const rect = target.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      const order = state.layout.order.filter((id) => id !== draggedId);
+      const index = order.indexOf(target.dataset.segment) + (after ? 1 : 0);
+      order.splice(index, 0, draggedId);
+      setLayout(Object.assign({}, state.layout, { order }));
+    });
+
+    list.addEventListener('dragend', () => {
+      draggedId = null;
+      const dragging = list.querySelector('.builder__item--dragging');
+      if (dragging) dragging.classList.remove('builder__item--dragging');
+    });
+
+    if (lineCount) {
+      lineCount.addEventListener('change', (e) => setLineCount(parseInt(e.target.value, 10)));
+    }
+    if (lineSettings) {
+      lineSettings.addEventListener('change', (e) => {
+        const select = e.target.closest('[data-line]');
+        if (select) setLine(parseInt(select.dataset.line, 10), select.dataset.field, select.value);
+      });
+    }
+
+    if (widthInput) {
+      widthInput.min = String(MIN_TERMINAL_WIDTH);
+      widthInput.value = state.layout.width || '';
+      widthInput.addEventListener('input', () => {
+        const width = Number(widthInput.value);
+        const valid = widthInput.value === '' || (Number.isInteger(width) && width >= MIN_TERMINAL_WIDTH);
+        widthInput.setAttribute('aria-invalid', String(!valid));
+        if (valid) setLayout(Object.assign({}, state.layout, { width: widthInput.value === '' ? null : width }));
+      });
+    }
+
+    if (fitSelect) {
+      fitSelect.value = state.layout.fit;
+      fitSelect.addEventListener('change', (e) => {
+        setLayout(Object.assign({}, state.layout, { fit: e.target.value }));
+      });
+    }
+
+    if (asciiToggle) {
+      asciiToggle.checked = state.layout.ascii;
+      asciiToggle.addEventListener('change', (e) => {
+        setLayout(Object.assign({}, state.layout, { ascii: e.target.checked }));
+      });
+    }
+
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        setLayout(defaultLayout());
+        if (widthInput) {
+          widthInput.value = '';
+          widthInput.setAttribute('aria-invalid', 'false');
+        }
+        if (fitSelect) fitSelect.value = state.layout.fit;
+        if (asciiToggle) asciiToggle.checked = false;
+      });
+    }
+
+    Statusline.onRegisterSegment(() => setLayout(normalizeLayout(state.layout)));
+    renderList();
+    renderLines();
+  }
+
+  /**
+   * Initialize the script exporter: turns the current style and builder layout
+   * into a standalone bash statusline to copy or download
+   */
+  function initExporter() {
+    const exportButton = document.getElementById('export-script');
+    const panel = document.getElementById('export-panel');
+    const code = document.getElementById('export-code');
+    if (!exportButton || !panel || !code || !window.StatuslineExport) return;
+
+    const filename = document.getElementById('export-filename');
+    const copyButton = document.getElementById('export-copy');
+    const downloadButton = document.getElementById('export-download');
+    let script = '';
+
+    function scriptName() {
+      return `statusline-${state.currentStyle}-custom.sh`;
+    }
+
+    exportButton.addEventListener('click', () => {
+      script = window.StatuslineExport.generateScript(state.currentStyle, renderOptions(state));
+      code.textContent = script;
+      if (filename) filename.textContent = scriptName();
+      panel.hidden = false;
+      panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    });
+
+    if (copyButton) {
+      copyButton.addEventListener('click', () => copyToClipboard(copyButton, script));
+    }
+
+    if (downloadButton) {
+      downloadButton.addEventListener('click', () => downloadFile(scriptName(), script, 'text/x-shellscript'));
+    }
+  }
+
+  /**
+   * Initialize the settings.json panel: shows the statusLine fragment for the
+   * current style, or merges it into a pasted settings.json
+   */
+  function initSettingsPanel() {
+    const commandInput = document.getElementById('settings-command');
+    const existing = document.getElementById('settings-existing');
+    const errorList = document.getElementById('settings-errors');
+    const code = document.getElementById('settings-code');
+    if (!commandInput || !existing || !errorList || !code || !window.StatuslineExport) return;
+
+    const { defaultCommand, generateSettings, mergeSettings } = window.StatuslineExport;
+    let commandEdited = false;
+    let debounceId = 0;
+
+    const showErrors = (errors) => renderErrors(errorList, errors, existing);
+
+    function refresh() {
+      // Follow the style until the user types their own path
+      if (!commandEdited) commandInput.value = defaultCommand(state.currentStyle);
+      const command = commandInput.value;
+
+      if (!existing.value.trim()) {
+        showErrors([]);
+        code.textContent = generateSettings(command.trim() || defaultCommand(state.currentStyle));
+        return;
+      }
+
+      const { errors, text } = mergeSettings(existing.value, command);
+      showErrors(errors);
+      if (text) code.textContent = text;
+    }
+
+    commandInput.addEventListener('input', () => {
+      commandEdited = commandInput.value.trim() !== '';
+      refresh();
+    });
+
+    existing.addEventListener('input', () => {
+      clearTimeout(debounceId);
+      debounceId = setTimeout(refresh, INPUT_DEBOUNCE);
+    });
+
+    const styleSelect = document.getElementById('style-select');
+    if (styleSelect) styleSelect.addEventListener('change', refresh);
+
+    const copyButton = document.getElementById('settings-copy');
+    if (copyButton) {
+      copyButton.addEventListener('click', () => copyToClipboard(copyButton, code.textContent));
+    }
+
+    refresh();
+  }
+
+  /**
+   * Initialize the "paste real input" panel: parses Claude Code's stdin JSON,
+   * reports validation errors inline and renders valid payloads into the playground
+   */
+  function initInputPanel() {
+    const textarea = document.getElementById('input-json');
+    const errorList = document.getElementById('input-json-errors');
+    if (!textarea || !errorList) return;
+
+    let debounceId = 0;
+
+    const showErrors = (errors) => renderErrors(errorList, errors, textarea);
+
+    function applyInput() {
+      const text = textarea.value.trim();
+      if (!text) {
+        showErrors([]);
+        return;
+      }
+
+      const { errors, patch } = Statusline.parseInput(text);
+      showErrors(errors);
+      if (!patch) return;
+
+      Object.assign(state, patch);
+      updateStatusline('playground-statusline', false);
+    }
+
+    textarea.addEventListener('input', () => {
+      clearTimeout(debounceId);
+      debounceId = setTimeout(applyInput, INPUT_DEBOUNCE);
+    });
+
+    const sampleButton = document.getElementById('input-json-sample');
+    if (sampleButton) {
+      sampleButton.addEventListener('click', () => {
+        textarea.value = JSON.stringify(SAMPLE_INPUT, null, 2);
+        applyInput();
+      });
+    }
+  }
+
+  /**
+   * Step through recorded frames on a time-lapse clock: frames are spaced by the
+   * session time between them (see REPLAY_TIME_LAPSE), divided by the speed.
+   * onFrame(frame, index, count) renders; onPlayingChange(playing) updates controls.
+   */
+  function createReplayPlayer({ onFrame, onPlayingChange = () => {}, loop = false }) {
+    let frames = [];
+    let index = 0;
+    let speed = 1;
+    let timer = 0;
+
+    function delayAfter(i) {
+      const next = frames[i + 1] || frames[0];
+      const gap = Math.max(0, next.duration - frames[i].duration) / REPLAY_TIME_LAPSE;
+      return Math.min(REPLAY_MAX_DELAY, Math.max(REPLAY_MIN_DELAY, gap)) / speed;
+    }
+
+    function show(i) {
+      index = i;
+      onFrame(frames[i], i, frames.length);
+    }
+
+    function schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(tick, delayAfter(index));
+    }
+
+    function tick() {
+      if (index < frames.length - 1) {
+        show(index + 1);
+      } else if (loop) {
+        show(0);
+      } else {
+        pause();
+        return;
+      }
+      schedule();
+    }
+
+    function play() {
+      if (!frames.length || timer) return;
+      // Restart from the top once the end was reached
+      if (index >= frames.length - 1) show(0);
+      schedule();
+      onPlayingChange(true);
+    }
+
+    function pause() {
+      clearTimeout(timer);
+      timer = 0;
+      onPlayingChange(false);
+    }
+
+    function seek(i) {
+      if (!frames.length) return;
+      show(Math.max(0, Math.min(frames.length - 1, i)));
+      if (timer) schedule();
+    }
+
+    function load(list) {
+      pause();
+      frames = list;
+      if (frames.length) show(0);
+    }
+
+    return {
+      load,
+      play,
+      pause,
+      seek,
+      setSpeed: (value) => {
+        speed = value;
+        if (timer) schedule();
+      },
+      isPlaying: () => timer !== 0
+    };
+  }
+
+  /**
+   * Initialize the session replay panel: load a recording (JSONL of stdin
+   * payloads, pasted or from a file) and play it through the playground preview
+   */
+  function initReplay() {
+    const textarea = document.getElementById('replay-input');
+    const errorList = document.getElementById('replay-errors');
+    const toggle = document.getElementById('replay-toggle');
+    const scrub = document.getElementById('replay-scrub');
+    const position = document.getElementById('replay-position');
+    if (!textarea || !errorList || !toggle || !scrub || !position) return;
+
+    const fileInput = document.getElementById('replay-file');
+    const speedSelect = document.getElementById('replay-speed');
+    const sampleButton = document.getElementById('replay-sample');
+    let frameCount = 0;
+    let debounceId = 0;
+
+    const player = createReplayPlayer({
+      onFrame(frame, index, count) {
+        Object.assign(state, frame);
+        scrub.value = String(index);
+        position.textContent = `${index + 1} / ${count}`;
+        updateStatusline('playground-statusline', false);
+      },
+      onPlayingChange(playing) {
+        toggle.textContent = playing ? 'Pause' : 'Play';
+        toggle.setAttribute('aria-pressed', String(playing));
+      }
+    });
+
+    const showErrors = (errors) => renderErrors(errorList, errors, textarea);
+
+    function loadRecording(text) {
+      const { errors, frames } = Statusline.parseSession(text);
+      showErrors(errors);
+      frameCount = frames.length;
+      scrub.max = String(Math.max(0, frameCount - 1));
+      scrub.disabled = frameCount < 2;
+      toggle.disabled = frameCount < 2;
+      if (!frameCount) position.textContent = '0 / 0';
+      player.load(frames);
+    }
+
+    textarea.addEventListener('input', () => {
+      clearTimeout(debounceId);
+      debounceId = setTimeout(() => loadRecording(textarea.value), INPUT_DEBOUNCE);
+    });
+
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+        file.text().then(
+          (text) => {
+            textarea.value = text;
+            loadRecording(text);
+          },
+          (err) => showErrors([`Could not read ${file.name}: ${err.message}`])
+        );
+      });
+    }
+
+    if (sampleButton) {
+      sampleButton.addEventListener('click', () => {
+        textarea.value = buildSampleSession().map((payload) => JSON.stringify(payload)).join('\n');
+        loadRecording(textarea.value);
+        player.play();
+      });
+    }
+
+    toggle.addEventListener('click', () => {
+      if (player.isPlaying()) player.pause();
+      else player.play();
+    });
+
+    scrub.addEventListener('input', () => player.seek(parseInt(scrub.value, 10)));
+
+    if (speedSelect) {
+      speedSelect.addEventListener('change', () => player.setSpeed(parseFloat(speedSelect.value) || 1));
+    }
+
+    // Nothing to play until a recording is loaded
+    toggle.disabled = true;
+    scrub.disabled = true;
+  }
+
+  /**
+   * Render the transcript breakdown: context share per role against the
+   * current model's window, plus the API-reported size when available
+   */
+  function renderTranscriptReport(report, analysis) {
+    const model = Statusline.findModel(state.model, state.models);
+    const windowSize = model.contextWindow;
+    const percent = Statusline.getContextPercent(analysis.total, model);
+    const number = (value) => value.toLocaleString('en-US');
+    const share = (tokens) => Math.min(100, (tokens * 100) / windowSize);
+
+    const roles = Object.keys(analysis.roles);
+    const bars = roles
+      .filter((role) => analysis.roles[role].counted && analysis.roles[role].tokens > 0)
+      .map((role) => {
+        const tokens = analysis.roles[role].tokens;
+        return `<span class="context-chart__bar context-chart__bar--${role}" style="width:${share(tokens)}%" title="${role}: ${number(tokens)} tokens"></span>`;
+      })
+      .join('');
+
+    const rows = roles
+      .map((role) => {
+        const entry = analysis.roles[role];
+        const swatch = entry.counted ? role : 'other';
+        return `
+          <tr>
+            <td><span class="context-report__swatch context-report__swatch--${swatch}" aria-hidden="true"></span>${Statusline.escapeHTML(role)}</td>
+            <td>${number(entry.messages)}</td>
+            <td>${number(entry.length)}</td>
+            <td>${entry.counted ? number(entry.tokens) : '—'}</td>
+          </tr>`;
+      })
+      .join('');
+
+    const reported =
+      analysis.reported !== null
+        ? `<p class="context-report__note">Last API usage block reports ${number(analysis.reported)} tokens in context; ` +
+          `${number(analysis.usage.input)} input and ${number(analysis.usage.output)} output tokens billed so far ` +
+          'price the burn rate while the session cost is 0.</p>'
+        : '';
+
+    report.innerHTML = `
+      <p class="context-report__summary">
+        <strong>${number(analysis.total)}</strong> estimated tokens ·
+        <strong>${percent}%</strong> of ${Statusline.escapeHTML(model.label)}'s ${number(windowSize)}-token window
+        <strong>${Statusline.generateContextBar(percent)}</strong>
+      </p>
+      <div class="context-chart" role="img" aria-label="Context window: ${number(analysis.input)} input and ${number(analysis.output)} output tokens of ${number(windowSize)}">${bars}</div>
+      <table class="context-report__table">
+        <thead><tr><th scope="col">Role</th><th scope="col">Messages</th><th scope="col">Length</th><th scope="col">Tokens</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="context-report__note">Length is jq's <code>length</code> of each message's content; roles other than user and assistant are not counted.</p>
+      ${reported}
+    `;
+    report.hidden = false;
+  }
+
+  /**
+   * Initialize the transcript panel: reads a transcript file locally, estimates
+   * its context usage like the segments script and feeds the context segment
+   */
+  function initTranscriptPanel() {
+    const fileInput = document.getElementById('transcript-file');
+    const report = document.getElementById('transcript-report');
+    const errorList = document.getElementById('transcript-errors');
+    if (!fileInput || !report || !errorList || !window.Transcript) return;
+
+    const clearButton = document.getElementById('transcript-clear');
+    let analysis = null;
+
+    const showErrors = (errors) => renderErrors(errorList, errors);
+
+    function apply(next) {
+      analysis = next;
+      state.contextTokens = analysis ? analysis.total : null;
+      state.usage = analysis ? analysis.usage : null;
+      if (clearButton) clearButton.disabled = !analysis;
+      if (analysis) {
+        renderTranscriptReport(report, analysis);
+      } else {
+        report.hidden = true;
+        report.innerHTML = '';
+      }
+      updateStatusline('playground-statusline', false);
+    }
+
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      file.text().then(
+        (text) => {
+          const result = window.Transcript.analyze(text);
+          if (!result.messageCount && !result.errors.length) result.errors.push('No messages found in the transcript');
+          showErrors(result.errors);
+          apply(result.messageCount ? result : null);
+        },
+        (err) => showErrors([`Could not read ${file.name}: ${err.message}`])
+      );
+      fileInput.value = '';
+    });
+
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        showErrors([]);
+        apply(null);
+      });
+    }
+
+    // The window (and so the percentage) depends on the selected model
+    const modelSelect = document.getElementById('model-select');
+    if (modelSelect) {
+      modelSelect.addEventListener('change', () => {
+        if (analysis) renderTranscriptReport(report, analysis);
+      });
+    }
+  }
+
+  /**
+   * Initialize the captured-output panel: renders raw ANSI from the real scripts
+   * (escape bytes or their \e / ^[ spellings) into the playground preview
+   */
+  function initAnsiPanel() {
+    const textarea = document.getElementById('input-ansi');
+    if (!textarea || !window.AnsiRenderer) return;
+
+    let debounceId = 0;
+    textarea.addEventListener('input', () => {
+      clearTimeout(debounceId);
+      debounceId = setTimeout(() => {
+        const preview = document.getElementById('playground-statusline');
+        if (!preview) return;
+        _cancelTypewriter(preview);
+        if (textarea.value.trim()) {
+          window.AnsiRenderer.renderInto(preview, textarea.value.trim());
+          // Captured output carries its own colors and width; the reports cover rendered segments only
+          ['contrast-report', 'width-report'].forEach((id) => {
+            const report = document.getElementById(id);
+            if (report) report.hidden = true;
+          });
+        } else {
+          preview.classList.remove('statusline-preview--ansi');
+          updateStatusline('playground-statusline', false);
+        }
+      }, INPUT_DEBOUNCE);
+    });
   }
 
   /**
@@ -408,42 +1895,61 @@
   function initCopyButtons() {
     const copyButtons = document.querySelectorAll('.install-command__copy');
     copyButtons.forEach((button) => {
-      button.addEventListener('click', async () => {
+      button.addEventListener('click', () => {
         const textEl = button.parentElement.querySelector('.install-command__text');
         if (!textEl) return;
-        const command = textEl.textContent.trim();
-
-        try {
-          if (navigator.clipboard && navigator.clipboard.writeText) {
-            await navigator.clipboard.writeText(command);
-          } else {
-            // Fallback
-            const ta = document.createElement('textarea');
-            ta.value = command;
-            ta.style.position = 'fixed';
-            ta.style.opacity = '0';
-            document.body.appendChild(ta);
-            ta.select();
-            document.execCommand('copy');
-            document.body.removeChild(ta);
-          }
-
-          const copyText = button.querySelector('.copy-text');
-          const originalText = copyText ? copyText.textContent : '';
-          if (copyText) copyText.textContent = 'Copied!';
-          button.classList.add('copied');
-
-          setTimeout(() => {
-            if (copyText) copyText.textContent = originalText;
-            button.classList.remove('copied');
-          }, 2000);
-        } catch (err) {
-          console.error('Failed to copy:', err);
-        }
+        copyToClipboard(button, textEl.textContent.trim());
       });
     });
   }
 
+  /**
+   * Copy text and flash "Copied!" on the button's .copy-text label
+   */
+  async function copyToClipboard(button, text) {
+    try {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        await navigator.clipboard.writeText(text);
+      } else {
+        // Fallback
+        const ta = document.createElement('textarea');
+        ta.value = text;
+        ta.style.position = 'fixed';
+        ta.style.opacity = '0';
+        document.body.appendChild(ta);
+        ta.select();
+        document.execCommand('copy');
+        document.body.removeChild(ta);
+      }
+
+      const copyText = button.querySelector('.copy-text');
+      const originalText = copyText ? copyText.textContent : '';
+      if (copyText) copyText.textContent = 'Copied!';
+      button.classList.add('copied');
+
+      setTimeout(() => {
+        if (copyText) copyText.textContent = originalText;
+        button.classList.remove('copied');
+      }, 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  }
+
+  /**
+   * Offer text as a file download
+   */
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
   /**
    * Initialize mobile navigation
    */
@@ -517,32 +2023,26 @@
     const heroStatusline = document.getElementById('hero-statusline');
     if (!heroStatusline) return;
 
-    // Ensure only one active interval (in case init() runs more than once)
-    if (_heroIntervalId !== null) {
-      clearInterval(_heroIntervalId);
-      _heroIntervalId = null;
+    // Ensure only one active replay (in case init() runs more than once)
+    if (_heroReplay !== null) {
+      _heroReplay.pause();
+      _heroReplay = null;
     }
 
-    let styleIndex = 0;
     const styles = ['segments', 'minimal', 'basic'];
-
-    function cycleStyles() {
-      state.currentStyle = styles[styleIndex];
-      updateStatusline('hero-statusline', false); // no typewriter here for smooth swap
-
-      styleIndex = (styleIndex + 1) % styles.length;
-
-      // Vary data a bit for realism
-      state.cost = 0.03 + Math.random() * 0.05;
-      state.duration = 60000 + Math.random() * 120000;
-      state.contextUsage = 30 + Math.floor(Math.random() * 40);
-      state.linesAdded = 20 + Math.floor(Math.random() * 50);
-      state.linesRemoved = 5 + Math.floor(Math.random() * 20);
-    }
-
-    // Initial render, then every 5s
-    cycleStyles();
-    _heroIntervalId = setInterval(cycleStyles, 5000);
+    const { frames } = Statusline.parseSession(JSON.stringify(buildSampleSession()));
+
+    // Loop the sample session, switching style every few frames
+    _heroReplay = createReplayPlayer({
+      loop: true,
+      onFrame(frame, index) {
+        Object.assign(heroState, frame);
+        heroState.currentStyle = styles[Math.floor(index / HERO_FRAMES_PER_STYLE) % styles.length];
+        updateStatusline('hero-statusline', false, heroState); // no typewriter here for smooth swap
+      }
+    });
+    _heroReplay.load(frames);
+    _heroReplay.play();
   }
 
   /**
@@ -595,14 +2095,244 @@
     if (prefersReduced) document.documentElement.classList.add('reduce-motion');
   }
 
+  /* ========== Saved State & Permalinks ========== */
+
+  /**
+   * Load everything the playground persists in localStorage into state
+   */
+  function restoreSavedState() {
+    // Default again rather than keep the one from load time, which misses
+    // plugin segments registered since
+    state.layout = loadLayout() || defaultLayout();
+
+    const costOptions = loadCostOptions();
+    if (costOptions) state.costOptions = costOptions;
+
+    const pathOptions = loadPathOptions();
+    if (pathOptions) state.pathOptions = pathOptions;
+
+    const format = loadFormat();
+    if (format !== null) state.format = format;
+
+    const models = loadModels();
+    if (models) state.models = models;
+
+    const themes = loadThemes();
+    if (themes) {
+      state.themes = themes.themes;
+      state.theme = Themes.getTheme(themes.theme, themes.themes).name;
+      state.terminalBackground = themes.background;
+    }
+  }
+
+  function toBase64Url(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+  }
+
+  /**
+   * Serialize the playground config (not session replay or transcript data; a
+   * transcript's context size is sent as the percentage it shows). Custom models
+   * and an imported theme travel with the link, since the recipient won't have them.
+   */
+  function encodePermalink(source) {
+    const theme = Themes.getTheme(source.theme, source.themes);
+    const config = {
+      v: PERMALINK_VERSION,
+      style: source.currentStyle,
+      model: source.model,
+      cost: source.cost,
+      session: {
+        duration: source.duration,
+        apiDuration: source.apiDuration,
+        contextUsage:
+          source.contextTokens !== null
+            ? Statusline.getContextPercent(source.contextTokens, Statusline.findModel(source.model, source.models))
+            : source.contextUsage,
+        linesAdded: source.linesAdded,
+        linesRemoved: source.linesRemoved,
+        currentDir: source.currentDir,
+        projectDir: source.projectDir
+      },
+      git: Object.assign(
+        {
+          status: source.gitStatus,
+          branch: source.gitBranch,
+          tag: source.gitTag,
+          operation: source.gitOperation
+        },
+        source.gitStats
+      ),
+      layout: source.layout,
+      format: source.format,
+      costOptions: source.costOptions,
+      paths: source.pathOptions,
+      theme: theme.name,
+      background: source.terminalBackground
+    };
+    if (source.models.length) config.models = source.models;
+    if (!Themes.THEMES[theme.name]) config.customTheme = theme;
+    return toBase64Url(JSON.stringify(config));
+  }
+
+  /**
+   * Decode a permalink into a state patch. Fields that fail validation are
+   * dropped rather than rejecting the whole link; null when it can't be read.
+   */
+  function decodePermalink(text) {
+    let config;
+    try {
+      config = JSON.parse(fromBase64Url(text));
+    } catch (err) {
+      return null;
+    }
+    if (!config || typeof config !== 'object' || config.v !== PERMALINK_VERSION) return null;
+
+    const patch = {};
+    const count = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+
+    if (Statusline.STYLES.includes(config.style)) patch.currentStyle = config.style;
+    if (typeof config.model === 'string' && config.model) patch.model = config.model;
+    if (typeof config.cost === 'number' && Number.isFinite(config.cost) && config.cost >= 0) patch.cost = config.cost;
+
+    const session = config.session && typeof config.session === 'object' ? config.session : {};
+    ['duration', 'apiDuration', 'linesAdded', 'linesRemoved'].forEach((key) => {
+      if (Number.isInteger(session[key]) && session[key] >= 0) patch[key] = session[key];
+    });
+    const usage = session.contextUsage;
+    if (usage === null || (typeof usage === 'number' && Number.isFinite(usage) && usage >= 0)) patch.contextUsage = usage;
+    ['currentDir', 'projectDir'].forEach((key) => {
+      if (typeof session[key] === 'string') patch[key] = session[key];
+    });
+
+    const git = config.git;
+    if (git && typeof git.status === 'string' && typeof git.branch === 'string') {
+      patch.gitBranch = git.branch;
+      patch.gitTag = typeof git.tag === 'string' ? git.tag : '';
+      patch.gitOperation = Statusline.formatGitOperation(git.operation) ? git.operation : '';
+      patch.gitStats = {};
+      Object.keys(Statusline.GIT_STAT_ICONS).forEach((key) => {
+        patch.gitStats[key] = count(git[key]);
+      });
+      patch.gitStatus = git.status === 'none' ? 'none' : Statusline.getGitState(patch.gitStats, patch.gitOperation);
+    }
+
+    const layout = normalizeLayout(config.layout);
+    if (layout) patch.layout = layout;
+    if (typeof config.format === 'string') patch.format = config.format;
+    if (config.costOptions) patch.costOptions = Statusline.resolveCostOptions(config.costOptions);
+    if (config.paths) patch.pathOptions = Paths.resolvePathOptions(config.paths);
+    if (Array.isArray(config.models)) {
+      patch.models = config.models.map((entry) => Statusline.normalizeModel(entry).model).filter(Boolean);
+    }
+
+    if (config.customTheme) {
+      const { theme } = Themes.validateTheme(config.customTheme);
+      if (theme) patch.customTheme = theme;
+    }
+    if (typeof config.theme === 'string') patch.theme = config.theme;
+    if (Object.prototype.hasOwnProperty.call(Themes.TERMINAL_BACKGROUNDS, config.background) || config.background === 'theme') {
+      patch.terminalBackground = config.background;
+    }
+    return patch;
+  }
+
+  /**
+   * Apply a shared config on top of the saved one. Shared models and theme
+   * are merged in, so viewing a link never discards the recipient's own.
+   */
+  function applyPermalink(patch) {
+    const { models, customTheme, theme } = patch;
+    [
+      'currentStyle', 'model', 'cost', 'duration', 'apiDuration', 'contextUsage', 'linesAdded', 'linesRemoved',
+      'currentDir', 'projectDir', 'gitStatus', 'gitBranch', 'gitTag', 'gitOperation', 'gitStats', 'layout', 'format',
+      'costOptions', 'pathOptions', 'terminalBackground'
+    ]
+      .filter((key) => key in patch)
+      .forEach((key) => {
+        state[key] = patch[key];
+      });
+
+    if (models) {
+      const patterns = models.map((model) => model.pattern);
+      state.models = models.concat(state.models.filter((model) => !patterns.includes(model.pattern)));
+    }
+    if (customTheme) {
+      state.themes = state.themes.filter((entry) => entry.name !== customTheme.name).concat(customTheme);
+    }
+    if (theme) state.theme = Themes.getTheme(theme, state.themes).name;
+  }
+
+  /**
+   * Restore a shared config from ?config= on load. The query string is used
+   * so the hash stays free for in-page anchors and #debug.
+   */
+  function restorePermalink() {
+    const param = new URLSearchParams(window.location.search).get(PERMALINK_PARAM);
+    if (!param) return;
+    const patch = decodePermalink(param);
+    if (patch) {
+      applyPermalink(patch);
+    } else {
+      console.warn('Ignoring unreadable playground link');
+    }
+  }
+
+  /**
+   * Link to the current playground config, keeping the current hash
+   */
+  function buildPermalink() {
+    const url = new URL(window.location.href);
+    url.searchParams.set(PERMALINK_PARAM, encodePermalink(state));
+    return url.toString();
+  }
+
+  function initPermalinkButton() {
+    const button = document.getElementById('copy-link');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+      const link = buildPermalink();
+      // Show the link in the address bar too, so a reload keeps this config
+      window.history.replaceState(null, '', link);
+      copyToClipboard(button, link);
+    });
+  }
+
   /* ========== Initialization ========== */
 
   /**
    * Initialize all components when DOM is ready
    */
   function init() {
+    // Saved preferences first, then a shared link on top
+    restoreSavedState();
+    restorePermalink();
+
     // Core initializations
     initPlayground();
+    initBuilder();
+    initFontCheck();
+    initCostOptions();
+    initPathOptions();
+    initFormat();
+    initModelRegistry();
+    initThemes();
+    initPermalinkButton();
+    initExporter();
+    initSettingsPanel();
+    initInputPanel();
+    initReplay();
+    initTranscriptPanel();
+    initAnsiPanel();
     initCopyButtons();
     initMobileNav();
     initSmoothScroll();
@@ -0,0 +1,147 @@
+/* ================================================
+   Path Format - Claude Code Statusline Manager
+   Directory display rules shared with the bash scripts
+   ================================================ */
+
+(function (root) {
+  'use strict';
+
+  /* ========== Constants ========== */
+
+  // home: $HOME to abbreviate as ~ (null infers it from the path);
+  // maxWidth: longer paths keep only their last two components
+  const PATH_DEFAULTS = {
+    home: null,
+    maxWidth: 30
+  };
+
+  const HOME_PATTERN = /^(\/home\/[^/]+|\/Users\/[^/]+|\/root)(?=\/|$)/;
+
+  /* ========== Options ========== */
+
+  /**
+   * Merge path display settings over PATH_DEFAULTS, dropping invalid values
+   */
+  function resolvePathOptions(paths) {
+    const options = Object.assign({}, PATH_DEFAULTS);
+    if (!paths) return options;
+
+    if (typeof paths.home === 'string' && paths.home.trim()) {
+      options.home = paths.home.trim().replace(/(.)\/+$/, '$1');
+    }
+    if (Number.isInteger(paths.maxWidth) && paths.maxWidth > 0) {
+      options.maxWidth = paths.maxWidth;
+    }
+    return options;
+  }
+
+  /**
+   * Guess $HOME from a Linux, macOS or root home directory prefix; null if none
+   */
+  function inferHome(path) {
+    const match = HOME_PATTERN.exec(path);
+    return match ? match[1] : null;
+  }
+
+  /* ========== Path Helpers ========== */
+
+  /**
+   * Like basename(1): last component, ignoring trailing slashes; '/' stays '/'
+   */
+  function basename(path) {
+    const trimmed = path.replace(/\/+$/, '');
+    if (!trimmed) return path ? '/' : '';
+    return trimmed.slice(trimmed.lastIndexOf('/') + 1);
+  }
+
+  /**
+   * Resolve '.', '..' and repeated slashes in an absolute path
+   */
+  function normalizePath(path) {
+    const parts = [];
+    path.split('/').forEach((part) => {
+      if (part === '' || part === '.') return;
+      if (part === '..') parts.pop();
+      else parts.push(part);
+    });
+    return '/' + parts.join('/');
+  }
+
+  /**
+   * Like `realpath --relative-to=from to` for absolute paths ('.' when equal).
+   * Symlinks aren't resolved; null when either path isn't absolute, where the
+   * scripts' realpath call fails too.
+   */
+  function relativePath(from, to) {
+    if (from[0] !== '/' || to[0] !== '/') return null;
+    const fromParts = normalizePath(from).split('/').filter(Boolean);
+    const toParts = normalizePath(to).split('/').filter(Boolean);
+
+    let common = 0;
+    while (common < fromParts.length && common < toParts.length && fromParts[common] === toParts[common]) {
+      common++;
+    }
+    const parts = fromParts.slice(common).map(() => '..').concat(toParts.slice(common));
+    return parts.length ? parts.join('/') : '.';
+  }
+
+  /**
+   * Replace a leading home directory with ~ (sed "s|^$HOME|~|"). The basic
+   * script replaces it anywhere in the path (sed "s|$HOME|~|g"): pass everywhere.
+   */
+  function abbreviateHome(path, home, everywhere = false) {
+    if (!home) return path;
+    if (everywhere) return path.split(home).join('~');
+    return path.startsWith(home) ? '~' + path.slice(home.length) : path;
+  }
+
+  /**
+   * Keep only the last two components of a path longer than maxWidth characters
+   */
+  function truncatePath(path, maxWidth = PATH_DEFAULTS.maxWidth) {
+    if (Array.from(path).length <= maxWidth) return path;
+    return '…/' + path.split('/').slice(-2).join('/');
+  }
+
+  /* ========== Directory Display ========== */
+
+  /**
+   * Directory as the minimal and segments scripts show it: home abbreviated,
+   * rewritten to project_name/rel_path inside a project (segments only, so the
+   * minimal style passes no projectDir), then truncated to options.maxWidth.
+   */
+  function formatPath(currentDir, projectDir, paths) {
+    const options = resolvePathOptions(paths);
+    const home = options.home === null ? inferHome(currentDir) : options.home;
+
+    let display = abbreviateHome(currentDir, home);
+    if (projectDir && projectDir !== currentDir) {
+      const relative = relativePath(projectDir, currentDir);
+      const relPath = relative === null ? display : relative;
+      if (relPath !== '.' && relPath !== display) {
+        display = `${basename(projectDir)}/${relPath}`;
+      }
+    }
+
+    if (!display) display = basename(currentDir) || '/';
+    return truncatePath(display, options.maxWidth);
+  }
+
+  const StatuslinePaths = {
+    PATH_DEFAULTS,
+    resolvePathOptions,
+    inferHome,
+    basename,
+    normalizePath,
+    relativePath,
+    abbreviateHome,
+    truncatePath,
+    formatPath
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = StatuslinePaths;
+  } else {
+    root.StatuslinePaths = StatuslinePaths;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
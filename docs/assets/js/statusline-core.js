@@ -0,0 +1,1509 @@
+/* ================================================
+   Statusline Core - Claude Code Statusline Manager
+   Shared segment rendering for the browser and Node
+   ================================================ */
+
+(function (root) {
+  'use strict';
+
+  const Paths =
+    typeof module === 'object' && module.exports ? require('./path-format.js') : root.StatuslinePaths;
+
+  /* ========== Constants ========== */
+  const COST_THRESHOLDS = { low: 0.05, medium: 0.10 };
+
+  // Cost display settings. Thresholds apply to the converted amount; rate converts
+  // from USD (user-supplied, never fetched); null decimals keeps each style's default.
+  // budget is a session budget in the display currency (null: none); the segments
+  // style alerts once the projected minutes until it's spent drop under alertMinutes.
+  const COST_DEFAULTS = {
+    low: COST_THRESHOLDS.low,
+    medium: COST_THRESHOLDS.medium,
+    decimals: null,
+    currency: '$',
+    rate: 1,
+    budget: null,
+    alertMinutes: 15
+  };
+  const MAX_COST_DECIMALS = 6;
+
+  // Known models, matched in order against model.display_name with a case-sensitive
+  // substring test (like the bash case patterns). Pricing is USD per million tokens.
+  const MODEL_REGISTRY = [
+    { pattern: 'Opus', emoji: '🎭', label: 'OPUS', contextWindow: 200000, pricing: { input: 15, output: 75 } },
+    { pattern: 'Sonnet', emoji: '🎵', label: 'SONNET', contextWindow: 200000, pricing: { input: 3, output: 15 } },
+    { pattern: 'Haiku', emoji: '🍃', label: 'HAIKU', contextWindow: 200000, pricing: { input: 0.8, output: 4 } }
+  ];
+
+  // Used for display names no registry entry matches; the label is the name's first 7 chars
+  const FALLBACK_MODEL = { pattern: '', emoji: '🤖', label: '', contextWindow: 200000, pricing: null };
+
+  // Separator glyphs selectable in the builder and by STATUSLINE_SEPARATOR in the
+  // bash scripts (arrow is their default)
+  const SEPARATORS = {
+    arrow: '▶',
+    hollow: '▷',
+    thin: '│',
+    powerline: '\uE0B0',
+    rounded: '\uE0B4',
+    slanted: '\uE0BC',
+    ascii: '>',
+    none: ''
+  };
+
+  // Private-use glyphs that only a Nerd Font (or a powerline-patched font) draws
+  const NERD_FONT_SEPARATORS = ['powerline', 'rounded', 'slanted'];
+
+  // Multi-line layouts: each line has its own separator and alignment, padded
+  // against the terminal width (or the widest line when there is none)
+  const MAX_LINES = 3;
+  const LINE_ALIGNMENTS = ['left', 'center', 'right'];
+
+  // Default left-to-right order of the full segments style's built-in segments
+  // (registered plugins follow by priority; see getSegmentOrder)
+  const SEGMENT_ORDER = ['model', 'dir', 'git', 'cost', 'time', 'context', 'changes'];
+
+  // 256-color indices shared with the BG_*/FG_* constants in the bash scripts
+  const ANSI_COLORS = {
+    PURPLE: 93,   // Model
+    BLUE: 33,     // Directory
+    TEAL: 37,     // Git clean
+    GREEN: 40,    // Low cost
+    YELLOW: 220,  // Git dirty
+    ORANGE: 208,  // Medium cost / context warning
+    RED: 196,     // High cost / context danger
+    GRAY: 240,    // Time
+    DARK: 236,    // Context / changes
+    WHITE: 255,
+    BLACK: 16,
+    BRIGHT: 231,
+    LIGHT: 250,   // Secondary text on dark segments
+    LIME: 82      // Net lines added
+  };
+
+  // statusline-segments.sh always closes with the dark-gray cap, whatever came last
+  const ANSI_END_CAP = { segments: 'DARK' };
+
+  // xterm defaults for the 16 system colors, then the 6x6x6 cube levels
+  const SYSTEM_COLORS = [
+    '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+    '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff'
+  ];
+  const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+  const ESC = '\x1b[';
+  const RESET = `${ESC}0m`;
+  const SGR_PATTERN = /\x1b\[[0-9;]*m/g;
+
+  // Terminal cell widths: combining marks, format characters (ZWJ) and variation
+  // selectors take none; emoji presented as emoji and East Asian wide/fullwidth
+  // characters take two; everything else (⎇, █, ▶ ...) takes one
+  const ZERO_WIDTH = /[\p{Mn}\p{Me}\p{Cf}\p{Emoji_Modifier}]/u;
+  const DOUBLE_WIDTH = /[\p{Emoji_Presentation}\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{2FFFD}\u{30000}-\u{3FFFD}]/u;
+  const ZWJ = '\u200D';
+
+  // Segments the priority layout shortens (to their compact text) and then drops
+  // to fit the terminal width, lowest priority first
+  const FIT_PRIORITY = ['changes', 'context', 'time'];
+
+  // Git counters statusline-segments.sh reports, in display order, with their icons
+  const GIT_STAT_ICONS = {
+    staged: '+',
+    unstaged: '~',
+    ahead: '↑',
+    behind: '↓',
+    conflicts: '✖',
+    untracked: '?',
+    stashed: '⚑'
+  };
+
+  // In-progress operations, detected from .git/MERGE_HEAD and .git/rebase-*
+  const GIT_OPERATION_ICONS = { merge: '⇄', rebase: '↻' };
+
+  // Longer branch names keep their first 10 characters plus ".."
+  const GIT_BRANCH_MAX = 12;
+
+  // ASCII-only mode (options.ascii): what replaces each emoji and box-drawing
+  // glyph the segments and separators draw. An empty replacement also takes the
+  // space after the glyph. Model emoji come from the registry (see asciiGlyphs).
+  const ASCII_GLYPHS = {
+    '▶': '>',
+    '▷': '>',
+    '│': '|',
+    '\uE0B0': '>',
+    '\uE0B4': '>',
+    '\uE0BC': '>',
+    '📁': '',
+    '⎇': 'git:',
+    '✓': 'ok',
+    '↑': '^',
+    '↓': 'v',
+    '✖': '!',
+    '⚑': '$',
+    '⇄': 'merge',
+    '↻': 'rebase',
+    '💰': '',
+    '💸': '',
+    '⏳': '~',
+    '🚨': '!!',
+    '⏱': '',
+    '✨': 'fast',
+    '⚡': 'normal',
+    '🐌': 'slow',
+    '📊': 'ctx',
+    '█': '#',
+    '░': '-',
+    '📝': '',
+    '…': '...'
+  };
+
+  // API time as a share of session time, as statusline-segments.sh grades it
+  const API_EFFICIENCY_LEVELS = [
+    { below: 10, icon: '✨', label: 'fast' },
+    { below: 30, icon: '⚡', label: 'normal' },
+    { below: Infinity, icon: '🐌', label: 'slow' }
+  ];
+
+  const INPUT_COST_FIELDS = [
+    ['total_cost_usd', true],
+    ['total_duration_ms', true],
+    ['total_api_duration_ms', false],
+    ['total_lines_added', false],
+    ['total_lines_removed', false]
+  ];
+
+  /* ========== Utility Functions ========== */
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Escape segment text before it is interpolated into markup
+   */
+  function escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Fill in and sanitize cost display settings; invalid fields fall back to the defaults
+   */
+  function resolveCostOptions(cost) {
+    const options = Object.assign({}, COST_DEFAULTS);
+    if (!isPlainObject(cost)) return options;
+
+    const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (isAmount(cost.low)) options.low = cost.low;
+    if (isAmount(cost.medium)) options.medium = cost.medium;
+    if (options.medium < options.low) options.medium = options.low;
+    if (Number.isInteger(cost.decimals) && cost.decimals >= 0 && cost.decimals <= MAX_COST_DECIMALS) {
+      options.decimals = cost.decimals;
+    }
+    if (typeof cost.currency === 'string') options.currency = cost.currency;
+    if (isAmount(cost.rate) && cost.rate > 0) options.rate = cost.rate;
+    if (isAmount(cost.budget) && cost.budget > 0) options.budget = cost.budget;
+    if (Number.isInteger(cost.alertMinutes) && cost.alertMinutes >= 0) options.alertMinutes = cost.alertMinutes;
+    return options;
+  }
+
+  /**
+   * Threshold bucket for a USD cost: 'low' | 'medium' | 'high'
+   */
+  function getCostLevel(cost, costOptions) {
+    const options = resolveCostOptions(costOptions);
+    const amount = cost * options.rate;
+    if (amount > options.medium) return 'high';
+    if (amount > options.low) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Get cost class based on threshold
+   */
+  function getCostClass(cost, costOptions) {
+    return `cost-${getCostLevel(cost, costOptions)}`;
+  }
+
+  /**
+   * Background/foreground pair for a cost segment
+   */
+  function getCostColors(cost, costOptions, palette = ANSI_COLORS) {
+    const level = getCostLevel(cost, costOptions);
+    if (level === 'high') return { bg: palette.RED, fg: palette.WHITE };
+    if (level === 'medium') return { bg: palette.ORANGE, fg: palette.BLACK };
+    return { bg: palette.GREEN, fg: palette.WHITE };
+  }
+
+  /**
+   * Format a USD cost in the display currency, e.g. "$0.046".
+   * defaultDecimals is the style's own precision, used unless costOptions sets one.
+   */
+  function formatCost(cost, defaultDecimals, costOptions) {
+    const options = resolveCostOptions(costOptions);
+    const decimals = options.decimals === null ? defaultDecimals : options.decimals;
+    return `${options.currency}${(cost * options.rate).toFixed(decimals)}`;
+  }
+
+  /* ========== Git ========== */
+
+  /**
+   * Every GIT_STAT_ICONS counter as a non-negative integer (missing ones are 0)
+   */
+  function normalizeGitStats(stats) {
+    const source = isPlainObject(stats) ? stats : {};
+    const normalized = {};
+    Object.keys(GIT_STAT_ICONS).forEach((key) => {
+      const value = source[key];
+      normalized[key] = Number.isInteger(value) && value > 0 ? value : 0;
+    });
+    return normalized;
+  }
+
+  /**
+   * What the git segment names: the branch, else (detached HEAD) an exact tag,
+   * else "HEAD"; truncated like the bash scripts
+   */
+  function formatGitRef(branch, tag) {
+    const ref = branch || tag || 'HEAD';
+    const chars = Array.from(ref);
+    return chars.length > GIT_BRANCH_MAX ? `${chars.slice(0, GIT_BRANCH_MAX - 2).join('')}..` : ref;
+  }
+
+  /**
+   * The " ⇄" / " ↻" suffix for a merge or rebase in progress; '' otherwise,
+   * including names inherited from Object.prototype
+   */
+  function formatGitOperation(operation) {
+    return Object.prototype.hasOwnProperty.call(GIT_OPERATION_ICONS, operation) ? ` ${GIT_OPERATION_ICONS[operation]}` : '';
+  }
+
+  /**
+   * Overall state of a repository, most urgent first:
+   * 'conflicted' | 'merging' | 'rebasing' | 'dirty' | 'staged' | 'clean'.
+   * This is what input.gitStatus holds, unless it is 'none' (not a repository).
+   */
+  function getGitState(gitStats, gitOperation) {
+    const stats = normalizeGitStats(gitStats);
+    if (stats.conflicts > 0) return 'conflicted';
+    if (gitOperation === 'merge') return 'merging';
+    if (gitOperation === 'rebase') return 'rebasing';
+    if (stats.unstaged > 0 || stats.untracked > 0) return 'dirty';
+    if (stats.staged > 0) return 'staged';
+    return 'clean';
+  }
+
+  /**
+   * The " +3 ~2 ↑1" suffix: each non-zero counter with its icon
+   */
+  function formatGitStats(stats) {
+    const normalized = normalizeGitStats(stats);
+    return Object.keys(GIT_STAT_ICONS)
+      .filter((key) => normalized[key] > 0)
+      .map((key) => ` ${GIT_STAT_ICONS[key]}${normalized[key]}`)
+      .join('');
+  }
+
+  /**
+   * Background/foreground pair for a git state (see getGitState)
+   */
+  function getGitColors(gitState, palette = ANSI_COLORS) {
+    if (gitState === 'conflicted') return { bg: palette.RED, fg: palette.WHITE };
+    if (gitState === 'merging' || gitState === 'rebasing') return { bg: palette.ORANGE, fg: palette.BLACK };
+    return gitState === 'clean'
+      ? { bg: palette.TEAL, fg: palette.WHITE }
+      : { bg: palette.YELLOW, fg: palette.BLACK };
+  }
+
+  /**
+   * Format duration to human readable
+   */
+  function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return minutes > 0 ? `${minutes}m${seconds}s` : `${seconds}s`;
+  }
+
+  /**
+   * Progress toward the session budget: whole percent spent and the minutes left
+   * at the session's average burn rate (null before the first minute, like the
+   * burn rate), both rounded down as bc does. alert is set once the budget is spent
+   * or the projection is under alertMinutes. Null when no budget is set.
+   */
+  function getBudgetStatus(cost, duration, costOptions) {
+    const options = resolveCostOptions(costOptions);
+    if (options.budget === null) return null;
+
+    // The epsilon keeps float error from rounding e.g. 29.000 down to 28
+    const floor = (value) => Math.floor(value + 1e-9);
+    const amount = cost * options.rate;
+    const percent = floor((amount * 100) / options.budget);
+    if (amount >= options.budget) return { percent, minutesLeft: null, spent: true, alert: true };
+
+    const minutesLeft = duration > 60000 && amount > 0
+      ? floor(((options.budget - amount) * duration) / (amount * 60000))
+      : null;
+    return { percent, minutesLeft, spent: false, alert: minutesLeft !== null && minutesLeft < options.alertMinutes };
+  }
+
+  /**
+   * Whole minutes as 45m or 2h5m
+   */
+  function formatMinutes(minutes) {
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h${minutes % 60}m` : `${minutes}m`;
+  }
+
+  /**
+   * Share of the session spent waiting on the API, graded like the segments
+   * script (whole percent, rounded down). Null when no API time is known.
+   */
+  function getApiEfficiency(apiDuration, duration) {
+    if (!(apiDuration > 0) || !(duration > 0)) return null;
+    const percent = Math.floor((apiDuration * 100) / duration);
+    const level = API_EFFICIENCY_LEVELS.find((entry) => percent < entry.below);
+    return { percent, icon: level.icon, label: level.label };
+  }
+
+  /**
+   * Print a count of hundredths the way bc does at scale=2: "1.52", ".03", or
+   * "0" for zero
+   */
+  function formatBcHundredths(hundredths) {
+    if (hundredths === 0) return '0';
+    const whole = Math.floor(hundredths / 100);
+    return `${whole || ''}.${String(hundredths % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Calculate burn rate (per hour, in the display currency) with the segments
+   * script's bc arithmetic: only past one minute, hours and the rate each
+   * truncated to two decimals (scale=2)
+   */
+  function calculateBurnRate(cost, duration, costOptions) {
+    if (!(duration > 60000)) return '';
+    const hourHundredths = Math.floor(duration / 36000);
+    if (hourHundredths <= 0) return '';
+    const options = resolveCostOptions(costOptions);
+    // Nudge up by a relative epsilon so float error can't truncate 1.52 to 1.51
+    const rate = (cost * options.rate * 10000) / hourHundredths;
+    return `${options.currency}${formatBcHundredths(Math.floor(rate * (1 + 1e-12)))}/h`;
+  }
+
+  /**
+   * Generate context usage bar. Pass a model entry to give percentage as a token count
+   * instead; it is then measured against the model's context window.
+   */
+  function generateContextBar(percentage, model) {
+    if (model) percentage = getContextPercent(percentage, model);
+    const barWidth = 8;
+    const filled = Math.min(barWidth, Math.floor((percentage * barWidth) / 100));
+    let bar = '[';
+    for (let i = 0; i < barWidth; i++) bar += i < filled ? '█' : '░';
+    bar += ']';
+    return bar;
+  }
+
+  /* ========== ASCII Mode ========== */
+
+  /**
+   * ASCII_GLYPHS plus an empty replacement for every model emoji in the registry
+   * (custom entries included)
+   */
+  function asciiGlyphs(models) {
+    const glyphs = Object.assign({}, ASCII_GLYPHS);
+    getModelRegistry(models)
+      .concat(FALLBACK_MODEL)
+      .forEach((model) => {
+        if (model.emoji && !/^[\x20-\x7e]*$/.test(model.emoji)) glyphs[model.emoji] = '';
+      });
+    return glyphs;
+  }
+
+  /**
+   * Replace the glyphs asciiGlyphs(models) lists. Longer glyphs go first, so an
+   * emoji sequence is replaced whole.
+   */
+  function toASCII(text, models) {
+    const glyphs = asciiGlyphs(models);
+    const pattern = Object.keys(glyphs)
+      .sort((a, b) => b.length - a.length)
+      .map((glyph) => glyph.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + (glyphs[glyph] ? '' : ' ?'))
+      .join('|');
+    return String(text).replace(new RegExp(pattern, 'gu'), (match) => glyphs[match.replace(/ $/, '')]);
+  }
+
+  /**
+   * ASCII-only copies of rendered segments: text, colored parts, compact text and
+   * title. Segments that were nothing but an emoji are left out.
+   */
+  function asciiSegments(segments, models) {
+    const convert = (entry) => {
+      const copy = Object.assign({}, entry, { text: toASCII(entry.text, models) });
+      if (Array.isArray(entry.parts)) copy.parts = entry.parts.map((part) => Object.assign({}, part, { text: toASCII(part.text, models) }));
+      return copy;
+    };
+    return segments.map((segment) => {
+      const copy = convert(segment);
+      if (segment.compact) copy.compact = convert(segment.compact);
+      if (segment.title) copy.title = toASCII(segment.title, models);
+      return copy;
+    }).filter((segment) => segment.text.trim());
+  }
+
+  /* ========== Terminal Width ========== */
+
+  function charWidth(char) {
+    if (ZERO_WIDTH.test(char)) return 0;
+    return DOUBLE_WIDTH.test(char) ? 2 : 1;
+  }
+
+  /**
+   * Longest prefix of text that fits in the given number of terminal columns.
+   * Emoji joined by a ZWJ share their first emoji's cells.
+   */
+  function sliceToWidth(text, columns) {
+    let width = 0;
+    let result = '';
+    let joined = false;
+    for (const char of String(text)) {
+      const charColumns = joined || char === ZWJ ? 0 : charWidth(char);
+      if (width + charColumns > columns) break;
+      joined = char === ZWJ;
+      width += charColumns;
+      result += char;
+    }
+    return result;
+  }
+
+  /**
+   * Columns a terminal uses to draw text (no escape sequences)
+   */
+  function displayWidth(text) {
+    let width = 0;
+    let joined = false;
+    for (const char of String(text)) {
+      if (!joined && char !== ZWJ) width += charWidth(char);
+      joined = char === ZWJ;
+    }
+    return width;
+  }
+
+  /**
+   * Columns a rendered statusline takes in a terminal, separators and end cap
+   * included (the widest line's, before alignment, when there are several)
+   */
+  function lineWidth(segments, style, options = {}) {
+    if (style === 'basic') return displayWidth(toANSI(segments, style, options).replace(SGR_PATTERN, ''));
+    return splitLines(segments).reduce((widest, line) => {
+      const separator = lineSeparator(options, line.index);
+      return Math.max(widest, displayWidth(lineToANSI(line.segments, style, options, separator).replace(SGR_PATTERN, '')));
+    }, 0);
+  }
+
+  /**
+   * Priority layout: shorten, then drop plugin segments (highest priority number
+   * first) and the FIT_PRIORITY segments until the line fits options.width
+   * columns. Each line of a multi-line layout is fitted on its own. What still
+   * doesn't fit is cut off like any line.
+   */
+  function fitToWidth(segments, style, options) {
+    const lines = splitLines(segments);
+    if (lines.length > 1) {
+      return lines.reduce((all, line) => all.concat(fitToWidth(line.segments, style, options)), []);
+    }
+
+    const fitted = segments.slice();
+    const fits = () => lineWidth(fitted, style, options) <= options.width;
+    const plugins = listSegments()
+      .filter((segment) => !segment.builtIn)
+      .map((segment) => segment.id)
+      .reverse();
+
+    for (const id of plugins.concat(FIT_PRIORITY)) {
+      if (fits()) break;
+      const index = fitted.findIndex((segment) => segment.id === id);
+      if (index === -1) continue;
+      if (fitted[index].compact) {
+        fitted[index] = Object.assign({}, fitted[index], fitted[index].compact, { compact: null });
+        if (fits()) break;
+      }
+      fitted.splice(index, 1);
+    }
+    return fitted;
+  }
+
+  /**
+   * Column budget for cutting a line off where a terminal of that width would;
+   * take() returns as much of the text as still fits (all of it when unlimited)
+   */
+  function columnBudget(columns) {
+    let remaining = columns > 0 ? columns : Infinity;
+    return {
+      take(text) {
+        const fitted = remaining === Infinity ? text : sliceToWidth(text, remaining);
+        remaining -= displayWidth(fitted);
+        return fitted;
+      },
+      full: () => remaining <= 0
+    };
+  }
+
+  /* ========== Colors ========== */
+
+  /**
+   * ANSI_COLORS with overrides applied (e.g. from a theme); only known keys
+   * holding a 0-255 index are taken
+   */
+  function resolvePalette(colors) {
+    const palette = Object.assign({}, ANSI_COLORS);
+    if (!isPlainObject(colors)) return palette;
+    Object.keys(ANSI_COLORS).forEach((key) => {
+      const value = colors[key];
+      if (Number.isInteger(value) && value >= 0 && value <= 255) palette[key] = value;
+    });
+    return palette;
+  }
+
+  /**
+   * Hex color for 0-255 RGB components
+   */
+  function toHex(r, g, b) {
+    return '#' + [r, g, b].map((v) => v.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Map an xterm 256-color index to a hex color
+   */
+  function xterm256ToHex(index) {
+    if (index < 16) return SYSTEM_COLORS[index];
+    if (index < 232) {
+      const i = index - 16;
+      return toHex(CUBE_LEVELS[Math.floor(i / 36)], CUBE_LEVELS[Math.floor(i / 6) % 6], CUBE_LEVELS[i % 6]);
+    }
+    const gray = 8 + (index - 232) * 10;
+    return toHex(gray, gray, gray);
+  }
+
+  /* ========== Model Registry ========== */
+
+  /**
+   * Validate a user-supplied registry entry. Returns { errors, model }; model is null when invalid.
+   * Emoji defaults to 🤖, label to the uppercased pattern, pricing is optional.
+   */
+  function normalizeModel(entry) {
+    const errors = [];
+    if (!isPlainObject(entry)) return { errors: ['Model entry must be an object'], model: null };
+
+    const pattern = typeof entry.pattern === 'string' ? entry.pattern.trim() : '';
+    if (!pattern) errors.push('Name pattern must be a non-empty string');
+
+    const contextWindow = entry.contextWindow;
+    if (!Number.isInteger(contextWindow) || contextWindow <= 0) {
+      errors.push('Context window must be a positive whole number of tokens');
+    }
+
+    let pricing = null;
+    if (entry.pricing !== undefined && entry.pricing !== null) {
+      const { input, output } = isPlainObject(entry.pricing) ? entry.pricing : {};
+      const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+      if (!isPrice(input) || !isPrice(output)) {
+        errors.push('Input and output prices must be non-negative numbers');
+      } else {
+        pricing = { input, output };
+      }
+    }
+
+    if (errors.length) return { errors, model: null };
+
+    const emoji = typeof entry.emoji === 'string' && entry.emoji.trim() ? entry.emoji.trim() : FALLBACK_MODEL.emoji;
+    const label = typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : pattern.toUpperCase();
+    return { errors, model: { pattern, emoji, label, contextWindow, pricing } };
+  }
+
+  /**
+   * Registry to match against: valid custom entries first, so they can override built-ins
+   */
+  function getModelRegistry(customModels) {
+    const custom = Array.isArray(customModels)
+      ? customModels.map((entry) => normalizeModel(entry).model).filter(Boolean)
+      : [];
+    return custom.concat(MODEL_REGISTRY);
+  }
+
+  /**
+   * Registry entry for a model display name, or the 🤖 fallback
+   */
+  function findModel(name, customModels) {
+    const registry = getModelRegistry(customModels);
+    for (let i = 0; i < registry.length; i++) {
+      if (name.includes(registry[i].pattern)) return registry[i];
+    }
+    return Object.assign({}, FALLBACK_MODEL, { label: name.slice(0, 7) });
+  }
+
+  /**
+   * Resolve emoji and label for a model display name (mirrors the bash case patterns)
+   */
+  function formatModel(name, customModels) {
+    const model = findModel(name, customModels);
+    return { emoji: model.emoji, label: model.label };
+  }
+
+  /**
+   * Share of the model's context window a token count fills, in whole percent
+   * (integer division like the bash script)
+   */
+  function getContextPercent(tokens, model) {
+    return Math.floor((tokens * 100) / model.contextWindow);
+  }
+
+  /**
+   * USD cost of token usage ({ input, output } counts) at the model's registry prices;
+   * null when the model has no pricing
+   */
+  function estimateCost(usage, model) {
+    if (!usage || !model.pricing) return null;
+    return ((usage.input || 0) * model.pricing.input + (usage.output || 0) * model.pricing.output) / 1e6;
+  }
+
+  /* ========== Claude Code Input ========== */
+
+  /**
+   * Validate the stdin payload Claude Code sends to statusline scripts and map it
+   * onto renderer input fields. Returns { errors, patch }; patch is null when invalid.
+   * Missing optional fields fall back to the same defaults the jq filters use.
+   */
+  function parseInput(text) {
+    const errors = [];
+    let input;
+
+    try {
+      input = JSON.parse(text);
+    } catch (err) {
+      return { errors: [`Invalid JSON: ${err.message}`], patch: null };
+    }
+
+    if (!isPlainObject(input)) {
+      return { errors: ['Input must be a JSON object'], patch: null };
+    }
+
+    // model.display_name
+    let model = '';
+    if (!isPlainObject(input.model)) {
+      errors.push('Missing object: model');
+    } else if (typeof input.model.display_name !== 'string' || !input.model.display_name.trim()) {
+      errors.push('model.display_name must be a non-empty string');
+    } else {
+      model = input.model.display_name;
+    }
+
+    // workspace.current_dir (falls back to top-level cwd) and workspace.project_dir
+    let currentDir = '';
+    let projectDir = '';
+    const workspace = input.workspace;
+    if (workspace !== undefined && !isPlainObject(workspace)) {
+      errors.push('workspace must be an object');
+    } else {
+      const dir = workspace && workspace.current_dir !== undefined ? workspace.current_dir : input.cwd;
+      if (typeof dir !== 'string' || !dir) {
+        errors.push('workspace.current_dir must be a non-empty string');
+      } else {
+        currentDir = dir;
+      }
+      if (workspace && workspace.project_dir !== undefined) {
+        if (typeof workspace.project_dir !== 'string') {
+          errors.push('workspace.project_dir must be a string');
+        } else {
+          projectDir = workspace.project_dir;
+        }
+      }
+    }
+
+    // cost.* metrics
+    const cost = {};
+    if (!isPlainObject(input.cost)) {
+      errors.push('Missing object: cost');
+    } else {
+      INPUT_COST_FIELDS.forEach(([field, required]) => {
+        const value = input.cost[field];
+        if (value === undefined || value === null) {
+          if (required) errors.push(`Missing field: cost.${field}`);
+          cost[field] = 0;
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          errors.push(`cost.${field} must be a non-negative number`);
+        } else {
+          cost[field] = value;
+        }
+      });
+    }
+
+    if (errors.length) return { errors, patch: null };
+
+    return {
+      errors,
+      patch: {
+        model,
+        currentDir,
+        projectDir,
+        cost: cost.total_cost_usd,
+        duration: cost.total_duration_ms,
+        apiDuration: cost.total_api_duration_ms,
+        linesAdded: cost.total_lines_added,
+        linesRemoved: cost.total_lines_removed,
+        // The transcript lives on the user's machine, so context usage is unknown here
+        contextUsage: null,
+        contextTokens: null
+      }
+    };
+  }
+
+  /**
+   * Map the optional annotations a session recording may add next to each payload:
+   * "git": { branch, tag, operation, staged, unstaged, ahead, behind, conflicts,
+   * untracked, stashed } and "context_tokens". These are not part of Claude Code's
+   * input; the bash scripts work them out locally. An empty branch is a detached HEAD.
+   */
+  function parseAnnotations(input, errors) {
+    const patch = {};
+
+    if (input.git !== undefined) {
+      const git = input.git;
+      if (git === null) {
+        patch.gitStatus = 'none';
+      } else if (!isPlainObject(git) || typeof git.branch !== 'string') {
+        errors.push('git must be null or an object with a branch');
+      } else if (git.operation !== undefined && git.operation !== null && !formatGitOperation(git.operation)) {
+        errors.push(`git.operation must be one of: ${Object.keys(GIT_OPERATION_ICONS).join(', ')}`);
+      } else {
+        patch.gitBranch = git.branch;
+        patch.gitTag = typeof git.tag === 'string' ? git.tag : '';
+        patch.gitOperation = git.operation || '';
+        patch.gitStats = normalizeGitStats(git);
+        patch.gitStatus = getGitState(patch.gitStats, patch.gitOperation);
+      }
+    }
+
+    if (input.context_tokens !== undefined) {
+      if (!Number.isInteger(input.context_tokens) || input.context_tokens < 0) {
+        errors.push('context_tokens must be a non-negative integer');
+      } else {
+        patch.contextTokens = input.context_tokens;
+      }
+    }
+
+    return patch;
+  }
+
+  /**
+   * Parse a session recording: JSONL (one stdin payload per line, as Claude Code
+   * fed them to the script) or a JSON array of payloads. Returns { errors, frames };
+   * invalid snapshots are reported by line and skipped.
+   */
+  function parseSession(text) {
+    const source = String(text).trim();
+    let entries;
+
+    if (source.charAt(0) === '[') {
+      try {
+        const list = JSON.parse(source);
+        if (!Array.isArray(list)) return { errors: ['Recording must be JSONL or a JSON array'], frames: [] };
+        entries = list.map((item, index) => ({ line: index + 1, text: JSON.stringify(item) }));
+      } catch (err) {
+        return { errors: [`Invalid JSON: ${err.message}`], frames: [] };
+      }
+    } else {
+      entries = source
+        .split(/\r?\n/)
+        .map((line, index) => ({ line: index + 1, text: line.trim() }))
+        .filter((entry) => entry.text);
+    }
+
+    const errors = [];
+    const frames = [];
+    entries.forEach(({ line, text: entryText }) => {
+      const result = parseInput(entryText);
+      const frameErrors = result.errors.slice();
+      const patch = result.patch ? Object.assign(result.patch, parseAnnotations(JSON.parse(entryText), frameErrors)) : null;
+      frameErrors.forEach((message) => errors.push(`Line ${line}: ${message}`));
+      if (patch && frameErrors.length === 0) frames.push(patch);
+    });
+
+    if (!entries.length) errors.push('Recording is empty');
+    return { errors, frames };
+  }
+
+  /* ========== Statusline Generators ========== */
+  // Each generator returns an ordered list of segments:
+  // { id, text, className, bg, fg, bold?, parts?, title?, compact? } where bg/fg are
+  // 256-color indices, parts ({ text, fg? }) carry inline recoloring for the ANSI
+  // backend, title is an HTML-only tooltip and compact ({ text, parts }) is the
+  // shorter form the priority layout falls back to.
+  // Basic style segments carry a classic SGR string instead of bg/fg.
+
+  /**
+   * Generate basic statusline format
+   */
+  function generateBasicStatusline(input, options = {}) {
+    const host = 'localhost';
+    const user = 'user';
+    const { home } = Paths.resolvePathOptions(options.paths);
+    const dir = Paths.abbreviateHome(input.currentDir, home === null ? Paths.inferHome(input.currentDir) : home, true);
+    return [
+      { id: 'user', text: `${user}@${host}`, className: 'text-green', sgr: '01;32' },
+      { id: 'dir', text: dir, className: 'text-blue', sgr: '01;34' }
+    ];
+  }
+
+  /* ========== Segment Registry ========== */
+  // Segment definitions for the powerline styles, by id:
+  // { label, priority, styles, colors, render(input, context) }. Lower priorities
+  // render first; colors are palette slot names (so themes recolor them) or
+  // 256-color indices, or a function of (input, context) returning them.
+
+  const POWERLINE_STYLES = ['minimal', 'segments'];
+  const SEGMENT_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+  const CUSTOM_SEGMENT_PRIORITY = 100;
+  const segmentRegistry = new Map();
+  const registryListeners = [];
+
+  function isColor(value) {
+    return (Number.isInteger(value) && value >= 0 && value <= 255) || Object.prototype.hasOwnProperty.call(ANSI_COLORS, value);
+  }
+
+  // A palette slot name or a 256-color index to an index; undefined if neither
+  function resolveColor(value, palette) {
+    if (Number.isInteger(value) && value >= 0 && value <= 255) return value;
+    return Object.prototype.hasOwnProperty.call(palette, value) ? palette[value] : undefined;
+  }
+
+  /**
+   * Validate a segment definition. Returns { errors, segment }; segment is null when invalid.
+   * Label defaults to the id, priority to after the built-ins (or the replaced
+   * segment's), styles to both powerline styles and colors to DARK on LIGHT.
+   */
+  function normalizeSegment(id, definition) {
+    const errors = [];
+    if (typeof id !== 'string' || !SEGMENT_ID_PATTERN.test(id)) {
+      errors.push('Segment name must be lowercase letters, digits and dashes, starting with a letter');
+    }
+    if (!isPlainObject(definition)) return { errors: errors.concat('Segment definition must be an object'), segment: null };
+    if (typeof definition.render !== 'function') errors.push('render must be a function');
+
+    const { priority, styles, colors } = definition;
+    if (priority !== undefined && !(typeof priority === 'number' && Number.isFinite(priority))) {
+      errors.push('priority must be a number');
+    }
+    if (styles !== undefined && !(Array.isArray(styles) && styles.length && styles.every((style) => POWERLINE_STYLES.includes(style)))) {
+      errors.push(`styles must list one or more of: ${POWERLINE_STYLES.join(', ')}`);
+    }
+    if (colors !== undefined && typeof colors !== 'function' && !(isPlainObject(colors) && isColor(colors.bg) && isColor(colors.fg))) {
+      errors.push('colors must be { bg, fg } palette names or 0-255 indices, or a function returning them');
+    }
+    if (errors.length) return { errors, segment: null };
+
+    const previous = segmentRegistry.get(id);
+    const label = typeof definition.label === 'string' && definition.label.trim() ? definition.label.trim() : id;
+    return {
+      errors,
+      segment: {
+        id,
+        label,
+        priority: priority !== undefined ? priority : previous ? previous.priority : CUSTOM_SEGMENT_PRIORITY,
+        styles: styles ? styles.slice() : POWERLINE_STYLES.slice(),
+        colors: colors || { bg: 'DARK', fg: 'LIGHT' },
+        render: definition.render
+      }
+    };
+  }
+
+  function defineSegment(id, definition, builtIn) {
+    const result = normalizeSegment(id, definition);
+    if (!result.segment) return result;
+    result.segment.builtIn = builtIn;
+    segmentRegistry.set(id, result.segment);
+    registryListeners.forEach((listener) => listener(result.segment));
+    return result;
+  }
+
+  /**
+   * Add a segment to the minimal and segments styles, or replace one with the same
+   * name (built-ins included). render(input, context) receives the parsed input and
+   * { style, options, palette, model } and returns the segment's text, an object
+   * with text plus any of bg, fg, bold, parts, title, compact, className, or null
+   * to leave the segment out. Returns { errors, segment } like normalizeSegment.
+   */
+  function registerSegment(name, definition) {
+    return defineSegment(name, definition, false);
+  }
+
+  /**
+   * Call listener with each segment registered from now on (the playground uses
+   * it to pick up plugins loaded after it started)
+   */
+  function onRegisterSegment(listener) {
+    registryListeners.push(listener);
+  }
+
+  /**
+   * Registered segments, in priority order ({ id, label, priority, styles, builtIn })
+   */
+  function listSegments() {
+    return Array.from(segmentRegistry.values())
+      .sort((a, b) => a.priority - b.priority)
+      .map(({ id, label, priority, styles, builtIn }) => ({ id, label, priority, styles: styles.slice(), builtIn }));
+  }
+
+  /**
+   * Default left-to-right order: every registered segment id by priority
+   */
+  function getSegmentOrder() {
+    return listSegments().map((segment) => segment.id);
+  }
+
+  // The context argument of a definition's render and colors
+  function segmentContext(style, input, options) {
+    return { style, options, palette: resolvePalette(options.colors), model: findModel(input.model, options.models) };
+  }
+
+  /**
+   * Run one definition's render into a segment; null when it returns nothing
+   * usable or its render or colors throws, so a broken plugin can't take the
+   * whole line down
+   */
+  function renderSegment(definition, input, context) {
+    let result;
+    let defaults;
+    try {
+      result = definition.render(input, context);
+      defaults = typeof definition.colors === 'function' ? definition.colors(input, context) || {} : definition.colors;
+    } catch (err) {
+      return null;
+    }
+    if (typeof result === 'string') result = { text: result };
+    if (!isPlainObject(result) || typeof result.text !== 'string' || !result.text) return null;
+
+    const { palette } = context;
+    const color = (value, fallback) => {
+      const resolved = resolveColor(value, palette);
+      return resolved !== undefined ? resolved : fallback;
+    };
+    const resolveParts = (parts) =>
+      Array.isArray(parts)
+        ? parts.map((part) => {
+            const fg = resolveColor(part.fg, palette);
+            return fg === undefined ? { text: String(part.text) } : { text: String(part.text), fg };
+          })
+        : parts;
+
+    const segment = Object.assign({}, result, {
+      id: definition.id,
+      className: result.className || `segment ${definition.builtIn ? '' : 'segment--custom '}segment--${definition.id}`,
+      bg: color(result.bg, color(defaults.bg, palette.DARK)),
+      fg: color(result.fg, color(defaults.fg, palette.LIGHT)),
+      parts: resolveParts(result.parts)
+    });
+    if (segment.parts === undefined) delete segment.parts;
+    if (isPlainObject(result.compact)) {
+      segment.compact = Object.assign({}, result.compact, { parts: resolveParts(result.compact.parts) });
+    }
+    return segment;
+  }
+
+  /**
+   * Render one registered segment for a powerline style; null when the id isn't
+   * registered for it or the segment renders nothing
+   */
+  function renderSegmentById(id, style, input, options = {}) {
+    const definition = segmentRegistry.get(id);
+    if (!definition || !definition.styles.includes(style)) return null;
+    return renderSegment(definition, input, segmentContext(style, input, options));
+  }
+
+  /**
+   * Render every registered segment that applies to a powerline style, in priority order
+   */
+  function generatePowerline(style, input, options = {}) {
+    const context = segmentContext(style, input, options);
+    return Array.from(segmentRegistry.values())
+      .filter((definition) => definition.styles.includes(style))
+      .sort((a, b) => a.priority - b.priority)
+      .map((definition) => renderSegment(definition, input, context))
+      .filter(Boolean);
+  }
+
+  /* ========== Built-in Segments ========== */
+  // The minimal and segments styles' segments, defined through registerSegment
+  // like any plugin. context is { style, options, palette, model } (see renderSegment).
+
+  const BUILTIN_SEGMENTS = {
+    model: {
+      label: 'Model',
+      colors: { bg: 'PURPLE', fg: 'WHITE' },
+      render(input, { style, model }) {
+        const text = style === 'minimal' ? input.model.toUpperCase() : `${model.emoji} ${model.label}`;
+        return { text, bold: true };
+      }
+    },
+
+    // Project-relative inside a project (the minimal script ignores project_dir)
+    dir: {
+      label: 'Directory',
+      colors: { bg: 'BLUE', fg: 'BRIGHT' },
+      render(input, { style, options }) {
+        if (style === 'minimal') return Paths.formatPath(input.currentDir, '', options.paths);
+        return `📁 ${Paths.formatPath(input.currentDir, input.projectDir, options.paths)}`;
+      }
+    },
+
+    git: {
+      label: 'Git',
+      colors: { bg: 'TEAL', fg: 'WHITE' },
+      render(input, { style, palette }) {
+        if (input.gitStatus === 'none') return null;
+        const ref = formatGitRef(input.gitBranch, input.gitTag);
+
+        // Minimal: `git status --porcelain` marks staged, unstaged, untracked and conflicted files
+        if (style === 'minimal') {
+          const stats = normalizeGitStats(input.gitStats);
+          const dirty = stats.staged + stats.unstaged + stats.untracked + stats.conflicts > 0;
+          return Object.assign({ text: `⎇ ${ref}${dirty ? '*' : ''}` }, getGitColors(dirty ? 'dirty' : 'clean', palette));
+        }
+
+        const gitState = getGitState(input.gitStats, input.gitOperation);
+        const operation = formatGitOperation(input.gitOperation);
+        const stats = formatGitStats(input.gitStats);
+        const text = operation || stats ? `⎇ ${ref}${operation}${stats}` : `⎇ ${ref} ✓`;
+        // The script paints any stats yellow, so ahead/behind/stash alone aren't "clean" here
+        return Object.assign({ text }, getGitColors(gitState === 'clean' && stats ? 'dirty' : gitState, palette));
+      }
+    },
+
+    // Segments adds the burn rate and budget (no emoji while cost is low, like the bash script)
+    cost: {
+      label: 'Cost',
+      colors: { bg: 'GREEN', fg: 'WHITE' },
+      render(input, { style, options, palette, model }) {
+        const colors = getCostColors(input.cost, options.cost, palette);
+        if (style === 'minimal') {
+          return Object.assign({ text: formatCost(input.cost, 4, options.cost), className: `segment segment--${getCostClass(input.cost, options.cost)}` }, colors);
+        }
+
+        const costLevel = getCostLevel(input.cost, options.cost);
+        // Burn rate falls back to registry prices when only token usage is known
+        const estimated = input.cost > 0 ? null : estimateCost(input.usage, model);
+        const burnRate = calculateBurnRate(estimated === null ? input.cost : estimated, input.duration, options.cost);
+        const costEmoji = { low: '', medium: '💰 ', high: '💸 ' }[costLevel];
+        const budget = getBudgetStatus(input.cost, input.duration, options.cost);
+        let budgetText = '';
+        if (budget) {
+          budgetText = ` ${budget.percent}%${budget.minutesLeft !== null ? ` ⏳${formatMinutes(budget.minutesLeft)}` : ''}`;
+        }
+        const costText = `${formatCost(input.cost, 3, options.cost)}${burnRate ? ' ' + burnRate : ''}${budgetText}`;
+        if (budget && budget.alert) {
+          return {
+            text: `🚨 ${costText}`,
+            className: 'segment segment--cost-alert',
+            bg: palette.RED,
+            fg: palette.WHITE,
+            bold: true
+          };
+        }
+        return Object.assign({ text: `${costEmoji}${costText}`, className: `segment segment--cost-${costLevel}` }, colors);
+      }
+    },
+
+    // Minimal shows minutes only once past a minute; segments adds API efficiency
+    time: {
+      label: 'Time',
+      colors: { bg: 'GRAY', fg: 'WHITE' },
+      render(input, { style }) {
+        if (!(input.duration > 0)) return null;
+        if (style === 'minimal') {
+          const minutes = Math.floor(input.duration / 60000);
+          return minutes > 0 ? `${minutes}m` : `${Math.floor(input.duration / 1000)}s`;
+        }
+
+        const efficiency = getApiEfficiency(input.apiDuration, input.duration);
+        const segment = {
+          text: `⏱ ${formatDuration(input.duration)}${efficiency ? ' ' + efficiency.icon : ''}`,
+          compact: { text: `⏱ ${formatDuration(input.duration)}` }
+        };
+        if (efficiency) {
+          segment.title = `Waiting on the API ${efficiency.percent}% of the session (${efficiency.label}): ✨ under 10%, ⚡ under 30%, 🐌 otherwise`;
+        }
+        return segment;
+      }
+    },
+
+    // Only known when a transcript is available; a token count is measured
+    // against the model's context window
+    context: {
+      label: 'Context',
+      styles: ['segments'],
+      colors: { bg: 'DARK', fg: 'LIGHT' },
+      render(input, { palette, model }) {
+        const contextUsage = typeof input.contextTokens === 'number'
+          ? getContextPercent(input.contextTokens, model)
+          : input.contextUsage;
+        if (contextUsage === null || contextUsage === undefined) return null;
+
+        const segment = {
+          text: `📊 ${contextUsage}% ${generateContextBar(contextUsage)}`,
+          compact: { text: `📊 ${contextUsage}%` }
+        };
+        if (contextUsage > 80) return Object.assign(segment, { bg: palette.RED, fg: palette.WHITE });
+        if (contextUsage > 60) return Object.assign(segment, { bg: palette.ORANGE, fg: palette.BLACK });
+        return segment;
+      }
+    },
+
+    changes: {
+      label: 'Line changes',
+      styles: ['segments'],
+      colors: { bg: 'DARK', fg: 'LIGHT' },
+      render(input, { palette }) {
+        if (!(input.linesAdded > 0 || input.linesRemoved > 0)) return null;
+        const netLines = input.linesAdded - input.linesRemoved;
+        const netSymbol = netLines > 0 ? '↑' : netLines < 0 ? '↓' : '=';
+        const netText = netLines === 0 ? netSymbol : `${netSymbol}${Math.abs(netLines)}`;
+        const netColor = netLines > 0 ? palette.LIME : netLines < 0 ? palette.RED : palette.LIGHT;
+        const parts = [
+          { text: `📝 +${input.linesAdded}/-${input.linesRemoved}` },
+          { text: ` ${netText}`, fg: netColor }
+        ];
+        return {
+          text: parts.map((part) => part.text).join(''),
+          parts,
+          compact: { text: parts[0].text, parts: null }
+        };
+      }
+    }
+  };
+
+  SEGMENT_ORDER.forEach((id, index) => {
+    defineSegment(id, Object.assign({ priority: (index + 1) * 10 }, BUILTIN_SEGMENTS[id]), true);
+  });
+
+  const GENERATORS = {
+    basic: generateBasicStatusline,
+    minimal: (input, options) => generatePowerline('minimal', input, options),
+    segments: (input, options) => generatePowerline('segments', input, options)
+  };
+
+  /* ========== Layout ========== */
+
+  /**
+   * Reorder and filter powerline segments according to a builder layout:
+   * { order: [...ids], hidden: [...ids], separator, lines, lineOf }. Ids missing
+   * from order keep their generated position after the ordered ones. With more
+   * than one line, each segment gets the line lineOf puts it on (default the
+   * first) and the segments are grouped by line.
+   */
+  function applyLayout(segments, layout) {
+    if (!layout) return segments;
+    const order = layout.order || getSegmentOrder();
+    const hidden = layout.hidden || [];
+    const rank = (segment, index) => {
+      const position = order.indexOf(segment.id);
+      return position === -1 ? order.length + index : position;
+    };
+
+    const laidOut = segments
+      .map((segment, index) => ({ segment, rank: rank(segment, index) }))
+      .filter((entry) => !hidden.includes(entry.segment.id))
+      .sort((a, b) => a.rank - b.rank)
+      .map((entry) => entry.segment);
+
+    const count = resolveLines(layout).length;
+    if (count === 1) return laidOut;
+    const lineOf = isPlainObject(layout.lineOf) ? layout.lineOf : {};
+    return laidOut
+      .map((segment) => {
+        const line = lineOf[segment.id];
+        return Object.assign({}, segment, { line: Number.isInteger(line) && line > 0 ? Math.min(line, count - 1) : 0 });
+      })
+      .sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * A layout's lines, at least one: [{ separator, align }] with separator a
+   * SEPARATORS key. Layouts without lines use layout.separator for the one line.
+   */
+  function resolveLines(layout) {
+    // Own keys only: a shared layout naming 'constructor' must not pick up Object's
+    const isSeparator = (name) => Object.prototype.hasOwnProperty.call(SEPARATORS, name);
+    const fallback = layout && isSeparator(layout.separator) ? layout.separator : 'arrow';
+    const lines = layout && Array.isArray(layout.lines) && layout.lines.length ? layout.lines.slice(0, MAX_LINES) : [{}];
+    return lines.map((line) => ({
+      separator: isPlainObject(line) && isSeparator(line.separator) ? line.separator : fallback,
+      align: isPlainObject(line) && LINE_ALIGNMENTS.includes(line.align) ? line.align : 'left'
+    }));
+  }
+
+  /**
+   * Group laid-out segments by their line: [{ index, segments }] in line order,
+   * leaving out lines with nothing on them
+   */
+  function splitLines(segments) {
+    const lines = [];
+    segments.forEach((segment) => {
+      const index = segment.line || 0;
+      let line = lines.find((entry) => entry.index === index);
+      if (!line) {
+        line = { index, segments: [] };
+        lines.push(line);
+      }
+      line.segments.push(segment);
+    });
+    return lines.sort((a, b) => a.index - b.index);
+  }
+
+  // Settings of the line at index; segments past the last line go on it
+  function lineSettings(options, index) {
+    const lines = resolveLines(options.layout);
+    return lines[Math.min(index, lines.length - 1)];
+  }
+
+  // Separator glyph of the line at index, as ASCII in ASCII-only mode
+  function lineSeparator(options, index) {
+    const glyph = SEPARATORS[lineSettings(options, index).separator];
+    return options.ascii ? toASCII(glyph, options.models) : glyph;
+  }
+
+  // Spaces that align a line with free columns to spare
+  function alignPadding(align, free) {
+    if (free <= 0 || align === 'left') return '';
+    return ' '.repeat(align === 'center' ? Math.floor(free / 2) : free);
+  }
+
+  /* ========== Public API ========== */
+
+  /**
+   * Render a statusline style into its segment list. Pure: no DOM access.
+   * Unknown styles fall back to the full segments style.
+   * options.layout customises segment order and visibility (not the basic style;
+   * the others render every registered segment, see registerSegment);
+   * options.cost sets thresholds, decimals and currency (see COST_DEFAULTS);
+   * options.models adds custom registry entries ahead of MODEL_REGISTRY;
+   * options.colors overrides ANSI_COLORS slots (a theme's palette);
+   * options.paths sets the home directory and path width (see StatuslinePaths.PATH_DEFAULTS);
+   * options.width is the terminal width in columns, which options.layout.fit
+   * 'priority' shortens and drops segments to fit (see FIT_PRIORITY) and
+   * options.layout.lines aligns against;
+   * options.ascii swaps emoji and box-drawing glyphs for ASCII (see ASCII_GLYPHS).
+   */
+  function render(style, input, options = {}) {
+    const generate = GENERATORS[style] || GENERATORS.segments;
+    const generated = generate(input, options);
+    if (style === 'basic') return generated;
+
+    const segments = options.ascii ? asciiSegments(generated, options.models) : generated;
+    const laidOut = applyLayout(segments, options.layout);
+    const fit = options.layout && options.layout.fit;
+    return options.width > 0 && fit === 'priority' ? fitToWidth(laidOut, style, options) : laidOut;
+  }
+
+  /**
+   * HTML backend: join rendered segments the way the docs previews display them.
+   * Powerline segments also carry their terminal colors as --segment-bg/--segment-fg
+   * (and separators as --separator-fg/--separator-bg), which themed previews use
+   * instead of the class colors; the end cap is only shown there.
+   * options.width cuts the line off where a terminal that many columns wide would;
+   * a segment cut short gets the segment--clipped class. Each line of a
+   * multi-line layout is a statusline-line span, with a modifier for its alignment.
+   */
+  function toHTML(segments, style, options = {}) {
+    if (style === 'basic') {
+      const budget = columnBudget(options.width);
+      return segments
+        .map((segment, index) => {
+          const colon = index > 0 ? budget.take(':') : '';
+          const text = budget.take(segment.text);
+          return text ? `${colon}<span class="${segment.className}">${escapeHTML(text)}</span>` : colon;
+        })
+        .join('');
+    }
+
+    // Lines are only wrapped when there is more than one or they are aligned.
+    // Like toANSI, they align within the terminal width or else the widest line.
+    const lines = splitLines(segments);
+    const wrap = lines.length > 1 || lines.some((line) => lineSettings(options, line.index).align !== 'left');
+    const html = lines
+      .map((line) => {
+        const { align } = lineSettings(options, line.index);
+        const content = lineToHTML(line.segments, style, options, lineSeparator(options, line.index));
+        return wrap ? `<span class="statusline-line statusline-line--${align}">${content}</span>` : content;
+      })
+      .join('');
+    if (!wrap) return html;
+    const width = options.width ? ` style="width:${options.width}ch"` : '';
+    return `<span class="statusline-lines"${width}>${html}</span>`;
+  }
+
+  // One line of powerline segments for toHTML, cut off at options.width
+  function lineToHTML(segments, style, options, separator) {
+    const budget = columnBudget(options.width);
+    const sepSpan = (fg, bg, modifier, glyph) =>
+      `<span class="segment-separator${modifier}" style="--separator-fg:${xterm256ToHex(fg)};--separator-bg:${bg === null ? 'transparent' : xterm256ToHex(bg)}">${glyph}</span>`;
+    let html = '';
+    let prevBg = null;
+
+    segments.forEach((segment) => {
+      if (budget.full()) return;
+      if (prevBg !== null && separator) html += sepSpan(prevBg, segment.bg, '', budget.take(separator));
+      prevBg = segment.bg;
+      // Padding is drawn by CSS but takes a column on each side in a terminal
+      if (!budget.take(' ')) return;
+
+      const content = segment.parts
+        ? segment.parts
+            .map((part) => ({ fg: part.fg, text: budget.take(part.text) }))
+            .filter((part) => part.text)
+            .map((part) =>
+              part.fg !== undefined
+                ? `<span class="segment__part" style="--part-fg:${xterm256ToHex(part.fg)}">${escapeHTML(part.text)}</span>`
+                : escapeHTML(part.text)
+            )
+            .join('')
+        : escapeHTML(budget.take(segment.text));
+      const className = budget.take(' ') ? segment.className : `${segment.className} segment--clipped`;
+      const title = segment.title ? ` title="${escapeHTML(segment.title)}"` : '';
+      html += `<span class="${className}"${title} style="--segment-bg:${xterm256ToHex(segment.bg)};--segment-fg:${xterm256ToHex(segment.fg)}">${content}</span>`;
+    });
+
+    const capColor = endCapColor(style, prevBg, options);
+    const cap = capColor !== null && separator ? budget.take(separator) : '';
+    if (cap) html += sepSpan(capColor, null, ' segment-separator--cap', cap);
+    return html;
+  }
+
+  // Same rule as the bash scripts: a fixed cap color for segments, the last background otherwise
+  function endCapColor(style, prevBg, options) {
+    if (prevBg === null) return null;
+    return ANSI_END_CAP[style] !== undefined ? resolvePalette(options.colors)[ANSI_END_CAP[style]] : prevBg;
+  }
+
+  /**
+   * ANSI backend: emit the same 256-color escape sequences as the bash scripts.
+   * Each arrow takes the previous segment's background as its foreground, so the
+   * output can be printed in a terminal or diffed byte-for-byte against the scripts.
+   * Lines end in \n, with right and center aligned ones padded with spaces.
+   */
+  function toANSI(segments, style, options = {}) {
+    if (style === 'basic') {
+      return segments.map((segment) => `${ESC}${segment.sgr}m${segment.text}${ESC}00m`).join(':');
+    }
+
+    const lines = splitLines(segments).map((line) => {
+      const { align } = lineSettings(options, line.index);
+      const text = lineToANSI(line.segments, style, options, lineSeparator(options, line.index));
+      return { align, text, width: displayWidth(text.replace(SGR_PATTERN, '')) };
+    });
+    const target = options.width > 0 ? options.width : Math.max(0, ...lines.map((line) => line.width));
+    return lines.map((line) => alignPadding(line.align, target - line.width) + line.text).join('\n');
+  }
+
+  // One line of powerline segments for toANSI, closed with its end cap
+  function lineToANSI(segments, style, options, separator) {
+    let output = '';
+    let prevBg = null;
+
+    segments.forEach((segment) => {
+      const bg = `${ESC}48;5;${segment.bg}m`;
+      const fg = `${ESC}38;5;${segment.fg}m`;
+
+      if (prevBg !== null) output += `${ESC}38;5;${prevBg}m${bg}${separator}`;
+      output += `${bg}${fg}${segment.bold ? `${ESC}1m` : ''} `;
+
+      if (segment.parts) {
+        segment.parts.forEach((part) => {
+          output += part.fg !== undefined ? `${ESC}38;5;${part.fg}m${part.text}${fg}` : part.text;
+        });
+      } else {
+        output += segment.text;
+      }
+
+      output += ` ${RESET}`;
+      prevBg = segment.bg;
+    });
+
+    const capColor = endCapColor(style, prevBg, options);
+    if (capColor !== null && separator) output += `${ESC}38;5;${capColor}m${separator}${RESET}`;
+    return output;
+  }
+
+  const Statusline = {
+    COST_THRESHOLDS,
+    COST_DEFAULTS,
+    MAX_COST_DECIMALS,
+    MODEL_REGISTRY,
+    ANSI_COLORS,
+    SEPARATORS,
+    NERD_FONT_SEPARATORS,
+    ASCII_GLYPHS,
+    MAX_LINES,
+    LINE_ALIGNMENTS,
+    SEGMENT_ORDER,
+    FIT_PRIORITY,
+    GIT_STAT_ICONS,
+    GIT_OPERATION_ICONS,
+    API_EFFICIENCY_LEVELS,
+    STYLES: Object.keys(GENERATORS),
+    registerSegment,
+    onRegisterSegment,
+    listSegments,
+    getSegmentOrder,
+    renderSegmentById,
+    parseInput,
+    parseSession,
+    render,
+    applyLayout,
+    resolveLines,
+    splitLines,
+    asciiGlyphs,
+    toASCII,
+    asciiSegments,
+    fitToWidth,
+    displayWidth,
+    sliceToWidth,
+    lineWidth,
+    toHTML,
+    toANSI,
+    escapeHTML,
+    resolvePalette,
+    normalizeGitStats,
+    formatGitRef,
+    formatGitOperation,
+    formatGitStats,
+    getGitState,
+    getGitColors,
+    xterm256ToHex,
+    toHex,
+    normalizeModel,
+    getModelRegistry,
+    findModel,
+    formatModel,
+    getContextPercent,
+    estimateCost,
+    resolveCostOptions,
+    getCostLevel,
+    getCostClass,
+    getCostColors,
+    formatCost,
+    getBudgetStatus,
+    formatMinutes,
+    formatDuration,
+    getApiEfficiency,
+    calculateBurnRate,
+    generateContextBar
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = Statusline;
+  } else {
+    root.Statusline = Statusline;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
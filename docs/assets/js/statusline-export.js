@@ -0,0 +1,684 @@
+/* ================================================
+   Script Exporter - Claude Code Statusline Manager
+   Generates a standalone bash statusline from a playground configuration
+   ================================================ */
+
+(function (root) {
+  'use strict';
+
+  const Statusline =
+    typeof module === 'object' && module.exports ? require('./statusline-core.js') : root.Statusline;
+  const Paths =
+    typeof module === 'object' && module.exports ? require('./path-format.js') : root.StatuslinePaths;
+
+  /* ========== Shared Snippets ========== */
+
+  function header(style, requires, skipped = []) {
+    const lines = [
+      '#!/bin/bash',
+      '',
+      `# Generated by the Claude Code Statusline Manager playground (${style} style)`,
+      `# Requires: ${requires}`
+    ];
+    if (skipped.length) lines.push(`# Left out (playground plugin segments have no bash version): ${skipped.join(', ')}`);
+    return lines.concat(['', '# Read JSON from stdin', 'input=$(cat)']);
+  }
+
+  function ansiCodes() {
+    return ['', '# ANSI codes', 'RESET="\\e[0m"', 'BOLD="\\e[1m"'];
+  }
+
+  // Builds $output left to right; each arrow takes the previous background as its foreground
+  function segmentHelper(separator) {
+    return [
+      '',
+      '# Segment separator',
+      `SEP="${separator}"`,
+      '',
+      'output=""',
+      'prev_bg=""',
+      '',
+      '# add_segment <bg> <fg> <text> [extra SGR]',
+      'add_segment() {',
+      '    if [ -n "$prev_bg" ]; then',
+      '        output="${output}\\e[38;5;${prev_bg}m\\e[48;5;${1}m${SEP}"',
+      '    fi',
+      '    output="${output}\\e[48;5;${1}m\\e[38;5;${2}m${4} ${3} ${RESET}"',
+      '    prev_bg="$1"',
+      '}'
+    ];
+  }
+
+  function extract(fields) {
+    const jq = {
+      model: "model=$(echo \"$input\" | jq -r '.model.display_name // \"Unknown\"')",
+      cwd: "cwd=$(echo \"$input\" | jq -r '.workspace.current_dir // .cwd // \"~\"')",
+      project_dir: "project_dir=$(echo \"$input\" | jq -r '.workspace.project_dir // \"\"')",
+      transcript_path: "transcript_path=$(echo \"$input\" | jq -r '.transcript_path // \"\"')",
+      total_cost: "total_cost=$(echo \"$input\" | jq -r '.cost.total_cost_usd // 0')",
+      total_duration: "total_duration=$(echo \"$input\" | jq -r '.cost.total_duration_ms // 0')",
+      api_duration: "api_duration=$(echo \"$input\" | jq -r '.cost.total_api_duration_ms // 0')",
+      lines_added: "lines_added=$(echo \"$input\" | jq -r '.cost.total_lines_added // 0')",
+      lines_removed: "lines_removed=$(echo \"$input\" | jq -r '.cost.total_lines_removed // 0')"
+    };
+    return ['', '# Extract fields'].concat(fields.map((field) => jq[field]));
+  }
+
+  // Registry lookup shared by the model, context and cost segments; sets model_display,
+  // max_context and the price per million tokens (empty when the model has no pricing)
+  function modelLookup({ models }) {
+    const lines = ['', '# Model registry lookup (first match wins)', 'case "$model" in'];
+    models.forEach((model) => {
+      const prices = model.pricing
+        ? `price_in=${bashNumber(model.pricing.input)}; price_out=${bashNumber(model.pricing.output)}`
+        : 'price_in=""; price_out=""';
+      lines.push(
+        `    *"${bashQuote(model.pattern)}"*) model_display="${bashQuote(`${model.emoji} ${model.label}`)}"; max_context=${bashNumber(model.contextWindow)}; ${prices} ;;`
+      );
+    });
+    lines.push('    *) model_display="🤖 ${model:0:7}"; max_context=200000; price_in=""; price_out="" ;;', 'esac');
+    return lines;
+  }
+
+  const SETUP_BLOCKS = { models: modelLookup };
+
+  /* ========== Segment Snippets ========== */
+  // Each snippet: { fields: [...jq fields], setup?: [...SETUP_BLOCKS keys],
+  //                 compute(ctx): [...lines], emit(ctx): [...lines] }
+
+  // Escape text for use inside a double-quoted bash string
+  function bashQuote(text) {
+    return String(text).replace(/[\\"$`]/g, '\\$&');
+  }
+
+  // Write a number for bash and bc: plain digits to 12 significant figures, never
+  // exponent notation like String() gives for 1e-7, which bc rejects
+  function bashNumber(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) >= 1e21) {
+      throw new RangeError(`Can't write ${value} into a bash script`);
+    }
+    if (value === 0) return '0';
+    const decimals = Math.min(20, Math.max(0, 11 - Math.floor(Math.log10(Math.abs(value)))));
+    const fixed = value.toFixed(decimals);
+    return decimals ? fixed.replace(/0+$/, '').replace(/\.$/, '') : fixed;
+  }
+
+  // Branch name shared by both git snippets; --show-current prints nothing on a
+  // detached HEAD, so fall back to an exact tag, then HEAD
+  const gitBranchLines = [
+    '    branch=$(git branch --show-current 2>/dev/null)',
+    '    [ -z "$branch" ] && branch=$(git describe --tags --exact-match 2>/dev/null || echo "HEAD")',
+    '    [ ${#branch} -gt 12 ] && branch="${branch:0:10}.."'
+  ];
+
+  // Billed "input output" token totals over a transcript's API usage blocks, as in Transcript.estimate;
+  // prints nothing when there are none
+  const USAGE_FILTER =
+    '[.messages[]?.usage | objects] | select(length > 0) | ' +
+    '"\\(map((.input_tokens // 0) + (.cache_creation_input_tokens // 0) + (.cache_read_input_tokens // 0)) | add) ' +
+    '\\(map(.output_tokens // 0) | add)"';
+
+  function costSnippet(defaultDecimals, withBurnRate, withEmoji) {
+    return {
+      fields: withBurnRate ? ['total_cost', 'total_duration', 'model', 'transcript_path'] : ['total_cost'],
+      setup: withBurnRate ? ['models'] : [],
+      compute: ({ colors, cost }) => {
+        const decimals = cost.decimals === null ? defaultDecimals : cost.decimals;
+        const lines = ['', '# Cost - color coded by threshold', `CURRENCY="${bashQuote(cost.currency)}"`];
+        if (cost.rate !== 1) {
+          lines.push(`total_cost=$(echo "$total_cost * ${bashNumber(cost.rate)}" | bc -l 2>/dev/null || echo "$total_cost")`);
+        }
+        lines.push(
+          `formatted_cost=$(printf "%.${decimals}f" "$total_cost" 2>/dev/null || echo "0")`,
+          'burn_rate=""'
+        );
+        if (withBurnRate) {
+          // Same fallback as Statusline's cost segment: price token usage while the cost is 0
+          lines.push(
+            '# Until the session reports a cost, price the transcript\'s API usage blocks instead',
+            'burn_cost="$total_cost"',
+            'if [ -n "$price_in" ] && [ -n "$transcript_path" ] && [ -f "$transcript_path" ] &&',
+            '    ! (( $(echo "$total_cost > 0" | bc -l 2>/dev/null || echo 0) )); then',
+            `    usage=$(jq -r '${USAGE_FILTER}' "$transcript_path" 2>/dev/null)`,
+            '    if [ -n "$usage" ]; then',
+            '        read -r usage_in usage_out <<< "$usage"',
+            `        burn_cost=$(echo "($usage_in * $price_in + $usage_out * $price_out) / 1000000 * ${bashNumber(cost.rate)}" | bc -l 2>/dev/null || echo "$total_cost")`,
+            '    fi',
+            'fi',
+            'if [ "$total_duration" -gt 60000 ]; then',
+            '    hours=$(echo "scale=2; $total_duration / 3600000" | bc -l 2>/dev/null || echo "0")',
+            '    if [ "$(echo "$hours > 0" | bc -l 2>/dev/null)" = "1" ]; then',
+            '        rate=$(echo "scale=2; $burn_cost / $hours" | bc -l 2>/dev/null || echo "0")',
+            '        burn_rate=" ${CURRENCY}${rate}/h"',
+            '    fi',
+            'fi'
+          );
+        }
+        lines.push(
+          'cost_bold=""',
+          `if (( $(echo "$total_cost > ${bashNumber(cost.medium)}" | bc -l 2>/dev/null || echo 0) )); then`,
+          `    cost_bg=${colors.RED}; cost_fg=${colors.WHITE}`,
+          `    cost_emoji="${withEmoji ? '💸 ' : ''}"`,
+          `elif (( $(echo "$total_cost > ${bashNumber(cost.low)}" | bc -l 2>/dev/null || echo 0) )); then`,
+          `    cost_bg=${colors.ORANGE}; cost_fg=${colors.BLACK}`,
+          `    cost_emoji="${withEmoji ? '💰 ' : ''}"`,
+          'else',
+          `    cost_bg=${colors.GREEN}; cost_fg=${colors.WHITE}`,
+          '    cost_emoji=""',
+          'fi',
+          'budget_text=""'
+        );
+        // Same projection as Statusline.getBudgetStatus; only the segments style has a burn rate
+        if (withBurnRate && cost.budget !== null) {
+          const budget = bashNumber(cost.budget);
+          lines.push(
+            '',
+            '# Session budget - percent spent and minutes left at the average burn rate',
+            'budget_alert=0',
+            `budget_pct=$(echo "$total_cost * 100 / ${budget}" | bc 2>/dev/null || echo 0)`,
+            'budget_text=" ${budget_pct}%"',
+            `if (( $(echo "$total_cost >= ${budget}" | bc -l 2>/dev/null || echo 0) )); then`,
+            '    budget_alert=1',
+            'elif [ "$total_duration" -gt 60000 ] && (( $(echo "$total_cost > 0" | bc -l 2>/dev/null || echo 0) )); then',
+            `    minutes_left=$(echo "(${budget} - $total_cost) * $total_duration / ($total_cost * 60000)" | bc 2>/dev/null || echo 0)`,
+            '    if [ "$minutes_left" -ge 60 ]; then',
+            '        budget_text="${budget_text} ⏳$((minutes_left / 60))h$((minutes_left % 60))m"',
+            '    else',
+            '        budget_text="${budget_text} ⏳${minutes_left}m"',
+            '    fi',
+            `    [ "$minutes_left" -lt ${bashNumber(cost.alertMinutes)} ] && budget_alert=1`,
+            'fi',
+            'if [ "$budget_alert" = "1" ]; then',
+            `    cost_bg=${colors.RED}; cost_fg=${colors.WHITE}; cost_emoji="🚨 "; cost_bold="$BOLD"`,
+            'fi'
+          );
+        }
+        lines.push('cost_text="${cost_emoji}${CURRENCY}${formatted_cost}${burn_rate}${budget_text}"');
+        return lines;
+      },
+      emit: () => ['add_segment "$cost_bg" "$cost_fg" "$cost_text" "$cost_bold"']
+    };
+  }
+
+  const SEGMENTS_STYLE = {
+    model: {
+      fields: ['model'],
+      setup: ['models'],
+      compute: () => [],
+      emit: ({ colors }) => [`add_segment ${colors.PURPLE} ${colors.WHITE} "$model_display" "$BOLD"`]
+    },
+
+    dir: {
+      fields: ['cwd', 'project_dir'],
+      compute: ({ paths }) => [
+        '',
+        '# Directory with project context',
+        'display_dir=$(echo "$cwd" | sed "s|^$HOME|~|")',
+        'if [ -n "$project_dir" ] && [ "$project_dir" != "$cwd" ]; then',
+        '    project_name=$(basename "$project_dir")',
+        '    rel_path=$(realpath --relative-to="$project_dir" "$cwd" 2>/dev/null || echo "$display_dir")',
+        '    if [ "$rel_path" != "." ] && [ "$rel_path" != "$display_dir" ]; then',
+        '        display_dir="${project_name}/${rel_path}"',
+        '    fi',
+        'fi',
+        'if [ -z "$display_dir" ]; then',
+        '    display_dir=$(basename "$cwd")',
+        '    [ -z "$display_dir" ] && display_dir="/"',
+        'fi',
+        `if [ \${#display_dir} -gt ${bashNumber(paths.maxWidth)} ]; then`,
+        '    display_dir="…/$(echo "$display_dir" | rev | cut -d\'/\' -f1-2 | rev)"',
+        'fi'
+      ],
+      emit: ({ colors }) => [`add_segment ${colors.BLUE} ${colors.BRIGHT} "📁 \${display_dir}"`]
+    },
+
+    git: {
+      fields: ['cwd'],
+      compute: ({ colors }) => [
+        '',
+        '# Git status',
+        'git_text=""',
+        'if cd "$cwd" 2>/dev/null && git rev-parse --git-dir &>/dev/null; then',
+        ...gitBranchLines,
+        '    ahead_behind=$(git rev-list --left-right --count \'HEAD...@{u}\' 2>/dev/null || printf \'0\\t0\')',
+        '    ahead=$(echo "$ahead_behind" | cut -f1)',
+        '    behind=$(echo "$ahead_behind" | cut -f2)',
+        '    unstaged=$(git diff --numstat 2>/dev/null | wc -l)',
+        '    staged=$(git diff --cached --numstat 2>/dev/null | wc -l)',
+        '    conflicts=$(git diff --name-only --diff-filter=U 2>/dev/null | wc -l)',
+        '    untracked=$(git ls-files --others --exclude-standard 2>/dev/null | wc -l)',
+        '    stashed=$(git stash list 2>/dev/null | wc -l)',
+        '    git_dir=$(git rev-parse --git-dir 2>/dev/null)',
+        '    git_op=""',
+        '    if [ -d "$git_dir/rebase-merge" ] || [ -d "$git_dir/rebase-apply" ]; then',
+        `        git_op=" ${Statusline.GIT_OPERATION_ICONS.rebase}"`,
+        '    elif [ -f "$git_dir/MERGE_HEAD" ]; then',
+        `        git_op=" ${Statusline.GIT_OPERATION_ICONS.merge}"`,
+        '    fi',
+        '    git_stats=""',
+        ...Object.keys(Statusline.GIT_STAT_ICONS).map(
+          (key) => `    [ "$${key}" -gt 0 ] && git_stats="\${git_stats} ${Statusline.GIT_STAT_ICONS[key]}\${${key}}"`
+        ),
+        '    if [ "$conflicts" -gt 0 ]; then',
+        `        git_bg=${colors.RED}; git_fg=${colors.WHITE}`,
+        '        git_text="⎇ ${branch}${git_op}${git_stats}"',
+        '    elif [ -n "$git_op" ]; then',
+        `        git_bg=${colors.ORANGE}; git_fg=${colors.BLACK}`,
+        '        git_text="⎇ ${branch}${git_op}${git_stats}"',
+        '    elif [ -n "$git_stats" ]; then',
+        `        git_bg=${colors.YELLOW}; git_fg=${colors.BLACK}`,
+        '        git_text="⎇ ${branch}${git_stats}"',
+        '    else',
+        `        git_bg=${colors.TEAL}; git_fg=${colors.WHITE}`,
+        '        git_text="⎇ ${branch} ✓"',
+        '    fi',
+        'fi'
+      ],
+      emit: () => ['[ -n "$git_text" ] && add_segment "$git_bg" "$git_fg" "$git_text"']
+    },
+
+    cost: costSnippet(3, true, true),
+
+    time: {
+      fields: ['total_duration', 'api_duration'],
+      compute: () => [
+        '',
+        '# Duration with API efficiency indicator',
+        'time_text=""',
+        'if [ "$total_duration" -gt 0 ]; then',
+        '    minutes=$((total_duration / 60000))',
+        '    seconds=$(((total_duration % 60000) / 1000))',
+        '    efficiency=""',
+        '    if [ "$api_duration" -gt 0 ]; then',
+        '        api_pct=$((api_duration * 100 / total_duration))',
+        '        if [ "$api_pct" -lt 10 ]; then',
+        '            efficiency=" ✨"',
+        '        elif [ "$api_pct" -lt 30 ]; then',
+        '            efficiency=" ⚡"',
+        '        else',
+        '            efficiency=" 🐌"',
+        '        fi',
+        '    fi',
+        '    if [ "$minutes" -gt 0 ]; then',
+        '        time_text="${minutes}m${seconds}s${efficiency}"',
+        '    else',
+        '        time_text="${seconds}s${efficiency}"',
+        '    fi',
+        'fi'
+      ],
+      emit: ({ colors }) => [`[ -n "$time_text" ] && add_segment ${colors.GRAY} ${colors.WHITE} "⏱ \${time_text}"`]
+    },
+
+    context: {
+      fields: ['model', 'transcript_path'],
+      setup: ['models'],
+      compute: ({ colors }) => [
+        '',
+        '# Context usage estimated from the transcript',
+        'context_text=""',
+        `context_bg=${colors.DARK}; context_fg=${colors.LIGHT}`,
+        'if [ -n "$transcript_path" ] && [ -f "$transcript_path" ]; then',
+        '    input_tokens=$(jq \'[.messages[]? | select(.role == "user") | .content | length] | add // 0\' "$transcript_path" 2>/dev/null || echo 0)',
+        '    output_tokens=$(jq \'[.messages[]? | select(.role == "assistant") | .token_count // (.content | length / 4)] | add // 0\' "$transcript_path" 2>/dev/null || echo 0)',
+        '    total_tokens=$((input_tokens / 4 + output_tokens))',
+        '    if [ "$total_tokens" -gt 0 ]; then',
+        '        context_pct=$((total_tokens * 100 / max_context))',
+        '        filled=$((context_pct * 8 / 100))',
+        '        [ "$filled" -gt 8 ] && filled=8',
+        '        bar=""',
+        '        for ((i=0; i<filled; i++)); do bar="${bar}█"; done',
+        '        for ((i=filled; i<8; i++)); do bar="${bar}░"; done',
+        '        if [ "$context_pct" -gt 80 ]; then',
+        `            context_bg=${colors.RED}; context_fg=${colors.WHITE}`,
+        '        elif [ "$context_pct" -gt 60 ]; then',
+        `            context_bg=${colors.ORANGE}; context_fg=${colors.BLACK}`,
+        '        fi',
+        '        context_text="📊 ${context_pct}% [${bar}]"',
+        '    fi',
+        'fi'
+      ],
+      emit: () => ['[ -n "$context_text" ] && add_segment "$context_bg" "$context_fg" "$context_text"']
+    },
+
+    changes: {
+      fields: ['lines_added', 'lines_removed'],
+      compute: ({ colors }) => [
+        '',
+        '# Line changes with net indicator',
+        'changes_text=""',
+        'if [ "$lines_added" -gt 0 ] || [ "$lines_removed" -gt 0 ]; then',
+        '    net=$((lines_added - lines_removed))',
+        '    if [ "$net" -gt 0 ]; then',
+        `        net_indicator=" ↑\${net}"; net_color="\\e[38;5;${colors.LIME}m"`,
+        '    elif [ "$net" -lt 0 ]; then',
+        `        net_indicator=" ↓\${net#-}"; net_color="\\e[38;5;${colors.RED}m"`,
+        '    else',
+        `        net_indicator=" ="; net_color="\\e[38;5;${colors.LIGHT}m"`,
+        '    fi',
+        `    changes_text="📝 +\${lines_added}/-\${lines_removed}\${net_color}\${net_indicator}\\e[38;5;${colors.LIGHT}m"`,
+        'fi'
+      ],
+      emit: ({ colors }) => [`[ -n "$changes_text" ] && add_segment ${colors.DARK} ${colors.LIGHT} "$changes_text"`]
+    }
+  };
+
+  const MINIMAL_STYLE = {
+    model: {
+      fields: ['model'],
+      compute: () => ['', '# Model name', 'model_display=$(echo "$model" | tr \'[:lower:]\' \'[:upper:]\')'],
+      emit: ({ colors }) => [`add_segment ${colors.PURPLE} ${colors.WHITE} "$model_display" "$BOLD"`]
+    },
+
+    dir: {
+      fields: ['cwd'],
+      compute: ({ paths }) => [
+        '',
+        '# Shortened directory',
+        'short_cwd=$(echo "$cwd" | sed "s|^$HOME|~|")',
+        'if [ -z "$short_cwd" ]; then',
+        '    short_cwd=$(basename "$cwd")',
+        '    [ -z "$short_cwd" ] && short_cwd="/"',
+        'fi',
+        `if [ \${#short_cwd} -gt ${bashNumber(paths.maxWidth)} ]; then`,
+        '    short_cwd="…/$(echo "$short_cwd" | rev | cut -d\'/\' -f1-2 | rev)"',
+        'fi'
+      ],
+      emit: ({ colors }) => [`add_segment ${colors.BLUE} ${colors.BRIGHT} "$short_cwd"`]
+    },
+
+    git: {
+      fields: ['cwd'],
+      compute: ({ colors }) => [
+        '',
+        '# Git branch with dirty marker',
+        'git_text=""',
+        'if cd "$cwd" 2>/dev/null && git rev-parse --git-dir &>/dev/null; then',
+        ...gitBranchLines,
+        '    if [ -n "$(git status --porcelain 2>/dev/null)" ]; then',
+        `        git_bg=${colors.YELLOW}; git_fg=${colors.BLACK}`,
+        '        git_text="⎇ ${branch}*"',
+        '    else',
+        `        git_bg=${colors.TEAL}; git_fg=${colors.WHITE}`,
+        '        git_text="⎇ ${branch}"',
+        '    fi',
+        'fi'
+      ],
+      emit: () => ['[ -n "$git_text" ] && add_segment "$git_bg" "$git_fg" "$git_text"']
+    },
+
+    cost: costSnippet(4, false, false),
+
+    time: {
+      fields: ['total_duration'],
+      compute: () => [
+        '',
+        '# Duration',
+        'time_text=""',
+        'if [ "$total_duration" -gt 0 ]; then',
+        '    minutes=$((total_duration / 60000))',
+        '    if [ "$minutes" -gt 0 ]; then',
+        '        time_text="${minutes}m"',
+        '    else',
+        '        time_text="$((total_duration / 1000))s"',
+        '    fi',
+        'fi'
+      ],
+      emit: ({ colors }) => [`[ -n "$time_text" ] && add_segment ${colors.GRAY} ${colors.WHITE} "$time_text"`]
+    }
+  };
+
+  const STYLE_SNIPPETS = { segments: SEGMENTS_STYLE, minimal: MINIMAL_STYLE };
+
+  /* ========== Generators ========== */
+
+  function generateBasicScript() {
+    return header('basic', 'jq')
+      .concat([
+        '',
+        '# user@host:directory, green and blue like a standard bash prompt',
+        'current_dir=$(echo "$input" | jq -r \'.workspace.current_dir // .cwd // "~"\')',
+        'printf "\\033[01;32m%s@%s\\033[00m:\\033[01;34m%s\\033[00m" \\',
+        '    "$(whoami)" \\',
+        '    "$(hostname -s)" \\',
+        '    "$(echo "$current_dir" | sed "s|$HOME|~|g")"',
+        ''
+      ])
+      .join('\n');
+  }
+
+  // ASCII-only mode: a sed pass over the finished output with Statusline.toASCII's
+  // replacements, byte for byte (LC_ALL=C), for locales that can't match emoji
+  function asciiFilter(models) {
+    const glyphs = Statusline.asciiGlyphs(models);
+    const quote = (text, special) => text.replace(special, '\\$&').replace(/'/g, "'\\''");
+    const expressions = Object.keys(glyphs)
+      .sort((a, b) => b.length - a.length)
+      .map((glyph) => {
+        const pattern = quote(glyph, /[\\/.*^$[\]]/g) + (glyphs[glyph] ? '' : ' \\{0,1\\}');
+        return `        -e 's/${pattern}/${quote(glyphs[glyph], /[\\/&]/g)}/g'`;
+      });
+    return [
+      '',
+      '# ASCII-only mode: emoji and box-drawing glyphs become ASCII',
+      'ascii_only() {',
+      "    printf '%s' \"$1\" | LC_ALL=C sed \\"
+    ]
+      .concat(expressions.map((expression, index) => (index < expressions.length - 1 ? `${expression} \\` : expression)))
+      .concat('}');
+  }
+
+  // Joins $lines, padding each as its $aligns entry says (see Statusline.toANSI).
+  // Widths come from wc -L with the escape codes stripped; without it lines stay left.
+  function alignLines(width) {
+    return [
+      '',
+      '# Align the lines within the terminal width, or else the widest line',
+      'line_width() {',
+      "    printf '%s' \"$1\" | sed 's/\\\\e\\[[0-9;]*m//g' | LC_ALL=C.UTF-8 wc -L 2>/dev/null",
+      '}',
+      '',
+      'widths=()',
+      'target=0',
+      'for line in "${lines[@]}"; do',
+      '    w=$(line_width "$line")',
+      '    widths+=("$w")',
+      '    [ -n "$w" ] && [ "$w" -gt "$target" ] && target=$w',
+      'done',
+      `width="\${STATUSLINE_WIDTH:-${Number.isInteger(width) && width > 0 ? bashNumber(width) : ''}}"`,
+      '[ "${width:-0}" -gt 0 ] 2>/dev/null && target=$width',
+      '',
+      'result=""',
+      'for i in "${!lines[@]}"; do',
+      '    [ -z "${lines[$i]}" ] && continue',
+      '    pad=0',
+      '    if [ -n "${widths[$i]}" ]; then',
+      '        case "${aligns[$i]}" in',
+      '            right) pad=$(( target - widths[i] )) ;;',
+      '            center) pad=$(( (target - widths[i]) / 2 )) ;;',
+      '        esac',
+      '    fi',
+      '    [ -n "$result" ] && result="${result}\\n"',
+      '    [ "$pad" -gt 0 ] && result="${result}$(printf \'%*s\' "$pad" \'\')"',
+      '    result="${result}${lines[$i]}"',
+      'done',
+      '',
+      'echo -en "$result"'
+    ];
+  }
+
+  /**
+   * Generate a complete bash statusline script for a style and playground options
+   * ({ layout, width, ascii, cost, models, colors, paths }). The script depends on jq and bc,
+   * like the bundled ones, plus sed and wc for ASCII-only mode and aligned lines (its
+   * Requires line says which). It prints the same bytes as Statusline.toANSI for equal data.
+   * paths.home only affects the playground; scripts abbreviate the real $HOME. Numbers are
+   * written as plain decimals; a RangeError means one isn't finite.
+   */
+  function generateScript(style, options = {}) {
+    if (style === 'basic') return generateBasicScript();
+
+    const snippets = STYLE_SNIPPETS[style] || STYLE_SNIPPETS.segments;
+    const styleName = STYLE_SNIPPETS[style] ? style : 'segments';
+    const ctx = {
+      colors: Statusline.resolvePalette(options.colors),
+      cost: Statusline.resolveCostOptions(options.cost),
+      models: Statusline.getModelRegistry(options.models),
+      paths: Paths.resolvePathOptions(options.paths)
+    };
+
+    const layout = options.layout || {};
+    const laidOut = Statusline.applyLayout(
+      Object.keys(snippets).map((id) => ({ id })),
+      layout
+    );
+    const order = laidOut.map((segment) => segment.id);
+
+    // Visible registered segments the snippets can't write (see Statusline.registerSegment)
+    const skipped = Statusline.applyLayout(
+      Statusline.listSegments().filter((segment) => !snippets[segment.id] && segment.styles.includes(styleName)),
+      layout
+    ).map((segment) => segment.id);
+
+    const lineSettings = Statusline.resolveLines(layout);
+    const settingsOf = (index) => lineSettings[Math.min(index, lineSettings.length - 1)];
+    const separatorOf = (index) => {
+      const glyph = Statusline.SEPARATORS[settingsOf(index).separator];
+      return options.ascii ? Statusline.toASCII(glyph, options.models) : glyph;
+    };
+    const rows = Statusline.splitLines(laidOut).map((line) => ({
+      ids: line.segments.map((segment) => segment.id),
+      separator: separatorOf(line.index),
+      align: settingsOf(line.index).align
+    }));
+    if (!rows.length) rows.push({ ids: [], separator: separatorOf(0), align: 'left' });
+    const multiLine = rows.length > 1 || rows.some((row) => row.align !== 'left');
+
+    const fields = [];
+    const setup = [];
+    order.forEach((id) => {
+      snippets[id].fields.forEach((field) => {
+        if (!fields.includes(field)) fields.push(field);
+      });
+      (snippets[id].setup || []).forEach((block) => {
+        if (!setup.includes(block)) setup.push(block);
+      });
+    });
+
+    const requires = multiLine ? 'jq, bc, sed, wc -L (GNU coreutils)' : options.ascii ? 'jq, bc, sed' : 'jq, bc';
+    let lines = header(styleName, requires, skipped).concat(ansiCodes(), segmentHelper(rows[0].separator), extract(fields));
+    if (options.ascii) lines = lines.concat(asciiFilter(options.models));
+    setup.forEach((block) => {
+      lines = lines.concat(SETUP_BLOCKS[block](ctx));
+    });
+    order.forEach((id) => {
+      lines = lines.concat(snippets[id].compute(ctx));
+    });
+
+    // Same end cap rule as Statusline.toANSI: the segments style always closes dark gray
+    const cap = styleName === 'segments' ? String(ctx.colors.DARK) : '${prev_bg}';
+    const buildLine = (row) => {
+      let built = [];
+      row.ids.forEach((id) => {
+        built = built.concat(snippets[id].emit(ctx));
+      });
+      if (row.separator) {
+        built.push('', '# End cap', `[ -n "$prev_bg" ] && output="\${output}\\e[38;5;${cap}m\${SEP}\${RESET}"`);
+      }
+      return built;
+    };
+
+    const finishLine = options.ascii ? ['', 'output=$(ascii_only "$output")'] : [];
+    if (!multiLine) {
+      lines.push('', '# Build the statusline');
+      lines = lines.concat(buildLine(rows[0]), finishLine);
+      lines.push('', 'echo -en "$output"', '');
+      return lines.join('\n');
+    }
+
+    lines.push('', 'lines=()', 'aligns=()');
+    rows.forEach((row, index) => {
+      lines.push('', `# Build line ${index + 1}`);
+      if (index > 0) lines.push(`SEP="${row.separator}"`);
+      lines = lines.concat(buildLine(row), finishLine);
+      lines.push('', `lines+=("$output")`, `aligns+=("${row.align}")`, 'output=""', 'prev_bg=""');
+    });
+    return lines.concat(alignLines(options.width), '').join('\n');
+  }
+
+  /* ========== settings.json ========== */
+
+  const SETTINGS_SCHEMA = 'https://json.schemastore.org/claude-code-settings.json';
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Where statusline-manager.sh installs a style's script ($STATUSLINE_DIR defaults to ~/.claude)
+   */
+  function defaultCommand(style) {
+    return `~/.claude/statusline-${style}.sh`;
+  }
+
+  function statusLineEntry(command) {
+    return { type: 'command', command };
+  }
+
+  /**
+   * The settings.json fragment that enables a statusline command, shaped like settings.json.example
+   */
+  function generateSettings(command) {
+    return JSON.stringify({ $schema: SETTINGS_SCHEMA, statusLine: statusLineEntry(command) }, null, 2);
+  }
+
+  /**
+   * Merge a statusLine entry into existing settings.json text.
+   * Mirrors update_statusline in statusline-manager.sh: only .statusLine changes,
+   * every other key keeps its value and position. Extra statusLine options such
+   * as padding are kept. Returns { errors, text } with text null on failure.
+   */
+  function mergeSettings(existing, command) {
+    const errors = [];
+    if (typeof command !== 'string' || !command.trim()) {
+      errors.push('Statusline command must be a non-empty string');
+    }
+
+    let settings = {};
+    if (String(existing).trim()) {
+      try {
+        settings = JSON.parse(existing);
+      } catch (err) {
+        return { errors: errors.concat(`Invalid settings.json: ${err.message}`), text: null };
+      }
+      if (!isPlainObject(settings)) {
+        return { errors: errors.concat('settings.json must contain a JSON object'), text: null };
+      }
+      if (settings.$schema !== undefined && typeof settings.$schema !== 'string') {
+        errors.push('$schema must be a string');
+      }
+      if (settings.statusLine !== undefined && !isPlainObject(settings.statusLine)) {
+        errors.push('statusLine must be an object');
+      }
+    }
+
+    if (errors.length) return { errors, text: null };
+
+    const merged = Object.assign({}, settings);
+    merged.statusLine = Object.assign({}, settings.statusLine, statusLineEntry(command.trim()));
+    return { errors, text: JSON.stringify(merged, null, 2) };
+  }
+
+  const StatuslineExport = {
+    SETTINGS_SCHEMA,
+    generateScript,
+    defaultCommand,
+    generateSettings,
+    mergeSettings
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = StatuslineExport;
+  } else {
+    root.StatuslineExport = StatuslineExport;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,485 @@
+/* ================================================
+   Statusline Format - Claude Code Statusline Manager
+   Format strings such as "{model} {dir:short=30} {cost:$.3f}" as segments
+   ================================================ */
+
+(function (root) {
+  'use strict';
+
+  const Statusline =
+    typeof module === 'object' && module.exports ? require('./statusline-core.js') : root.Statusline;
+  const Paths =
+    typeof module === 'object' && module.exports ? require('./path-format.js') : root.StatuslinePaths;
+
+  /* ========== Constants ========== */
+
+  const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+  // printf-style cost precision: "$.3f" with the currency symbol, ".3f" without
+  const NUMBER_FORMAT = /^(\$?)\.(\d+)f$/;
+
+  // Modifiers every placeholder takes. Colors are palette names (which follow
+  // the theme) or 256-color indices; the segment's first placeholder sets the rest.
+  const COMMON_MODIFIERS = {
+    bg: { type: 'color', syntax: 'bg=COLOR', description: 'Segment background, e.g. bg=RED or bg=24' },
+    fg: { type: 'color', syntax: 'fg=COLOR', description: 'Segment text color' },
+    bold: { type: 'flag', syntax: 'bold', description: 'Bold text' }
+  };
+
+  const COST_FORMAT = { type: 'format', syntax: '$.3f', description: 'Decimals, with $ for the currency symbol (.3f for the number only)' };
+
+  /* ========== Placeholders ========== */
+  // Each placeholder renders from the playground state with the flags and values
+  // of its modifiers; render returns '' (or null) when there is nothing to show,
+  // and colors gives the segment colors when it comes first in its segment.
+  // context is { options, palette, model } as for registered segments.
+
+  function costColors(input, { options, palette }) {
+    return Statusline.getCostColors(input.cost, options.cost, palette);
+  }
+
+  // Flags in the order a placeholder prints them; all of defaults when none is given
+  function pick(modifiers, order, defaults) {
+    const chosen = order.filter((key) => modifiers[key]);
+    return chosen.length ? chosen : defaults;
+  }
+
+  const PLACEHOLDERS = {
+    model: {
+      description: 'Model from the registry: 🎭 OPUS',
+      modifiers: {
+        emoji: { type: 'flag', syntax: 'emoji', description: 'Registry emoji (🎭)' },
+        label: { type: 'flag', syntax: 'label', description: 'Registry label (OPUS)' },
+        name: { type: 'flag', syntax: 'name', description: 'display_name as Claude Code sends it (Opus)' }
+      },
+      render(input, modifiers, { model }) {
+        const values = { emoji: model.emoji, label: model.label, name: input.model };
+        return pick(modifiers, ['emoji', 'label', 'name'], ['emoji', 'label']).map((key) => values[key]).join(' ');
+      },
+      colors: (input, { palette }) => ({ bg: palette.PURPLE, fg: palette.WHITE, bold: true })
+    },
+
+    dir: {
+      description: 'Directory, project-relative inside a project: ~/projects/app',
+      modifiers: {
+        short: { type: 'integer', syntax: 'short=30', description: 'Keep the last two components past this many characters' },
+        full: { type: 'flag', syntax: 'full', description: 'Never shorten' },
+        name: { type: 'flag', syntax: 'name', description: 'Last component only' }
+      },
+      render(input, modifiers, { options }) {
+        if (modifiers.name) return Paths.basename(input.currentDir);
+        const maxWidth = modifiers.full ? Number.MAX_SAFE_INTEGER : modifiers.short;
+        return Paths.formatPath(input.currentDir, input.projectDir, Object.assign({}, options.paths, maxWidth ? { maxWidth } : {}));
+      },
+      colors: (input, { palette }) => ({ bg: palette.BLUE, fg: palette.BRIGHT })
+    },
+
+    git: {
+      description: 'Git state as the segments style shows it: ⎇ main +3 ~2 ↑1 (empty outside a repository)',
+      modifiers: {
+        branch: { type: 'flag', syntax: 'branch', description: 'Branch, or tag or HEAD when detached' },
+        op: { type: 'flag', syntax: 'op', description: 'Merge (⇄) or rebase (↻) in progress' },
+        stats: { type: 'flag', syntax: 'stats', description: 'Non-zero counters: +staged ~unstaged ↑ahead ↓behind ✖conflicts ?untracked ⚑stashed' },
+        dirty: { type: 'flag', syntax: 'dirty', description: '* when the work tree has changes, like the minimal style' }
+      },
+      render(input, modifiers) {
+        if (input.gitStatus === 'none') return '';
+        const ref = Statusline.formatGitRef(input.gitBranch, input.gitTag);
+        const operation = Statusline.formatGitOperation(input.gitOperation);
+        const stats = Statusline.formatGitStats(input.gitStats);
+        if (!['branch', 'op', 'stats', 'dirty'].some((key) => modifiers[key])) {
+          return operation || stats ? `⎇ ${ref}${operation}${stats}` : `⎇ ${ref} ✓`;
+        }
+
+        const counts = Statusline.normalizeGitStats(input.gitStats);
+        const dirty = counts.staged + counts.unstaged + counts.untracked + counts.conflicts > 0 ? '*' : '';
+        const values = { branch: ref, op: operation, stats, dirty };
+        return ['branch', 'op', 'stats', 'dirty'].filter((key) => modifiers[key]).map((key) => values[key]).join('');
+      },
+      colors(input, { palette }) {
+        const state = Statusline.getGitState(input.gitStats, input.gitOperation);
+        // Like the segments style, any stats make a clean repository yellow
+        const stats = Statusline.formatGitStats(input.gitStats);
+        return Statusline.getGitColors(state === 'clean' && stats ? 'dirty' : state, palette);
+      }
+    },
+
+    cost: {
+      description: 'Session cost in the display currency: $0.046',
+      modifiers: {
+        format: COST_FORMAT,
+        emoji: { type: 'flag', syntax: 'emoji', description: '💰 or 💸 once cost is medium or high' }
+      },
+      render(input, modifiers, { options }) {
+        const costOptions = Statusline.resolveCostOptions(options.cost);
+        let text = Statusline.formatCost(input.cost, 3, costOptions);
+        if (modifiers.format) {
+          const amount = (input.cost * costOptions.rate).toFixed(modifiers.format.decimals);
+          text = modifiers.format.currency ? `${costOptions.currency}${amount}` : amount;
+        }
+        const emoji = modifiers.emoji ? { low: '', medium: '💰 ', high: '💸 ' }[Statusline.getCostLevel(input.cost, costOptions)] : '';
+        return `${emoji}${text}`;
+      },
+      colors: costColors
+    },
+
+    burn: {
+      description: 'Average spend per hour, after the first minute: $1.52/h',
+      modifiers: {},
+      render(input, modifiers, { options, model }) {
+        // Falls back to registry prices when only token usage is known, like the cost segment
+        const estimated = input.cost > 0 ? null : Statusline.estimateCost(input.usage, model);
+        return Statusline.calculateBurnRate(estimated === null ? input.cost : estimated, input.duration, options.cost);
+      },
+      colors: costColors
+    },
+
+    budget: {
+      description: 'Share of the session budget and time left at the burn rate: 20% ⏳43m (empty without a budget)',
+      modifiers: {
+        percent: { type: 'flag', syntax: 'percent', description: 'Percent of the budget spent' },
+        left: { type: 'flag', syntax: 'left', description: 'Projected time left, after the first minute' }
+      },
+      render(input, modifiers, { options }) {
+        const budget = Statusline.getBudgetStatus(input.cost, input.duration, options.cost);
+        if (!budget) return '';
+        const values = {
+          percent: `${budget.percent}%`,
+          left: budget.minutesLeft === null ? '' : `⏳${Statusline.formatMinutes(budget.minutesLeft)}`
+        };
+        return pick(modifiers, ['percent', 'left'], ['percent', 'left']).map((key) => values[key]).filter(Boolean).join(' ');
+      },
+      colors(input, context) {
+        const budget = Statusline.getBudgetStatus(input.cost, input.duration, context.options.cost);
+        return budget && budget.alert ? { bg: context.palette.RED, fg: context.palette.WHITE, bold: true } : costColors(input, context);
+      }
+    },
+
+    time: {
+      description: 'Session duration: 2m5s',
+      modifiers: {
+        min: { type: 'flag', syntax: 'min', description: 'Whole minutes once past a minute, like the minimal style: 2m' }
+      },
+      render(input, modifiers) {
+        if (!(input.duration > 0)) return '';
+        if (!modifiers.min) return Statusline.formatDuration(input.duration);
+        const minutes = Math.floor(input.duration / 60000);
+        return minutes > 0 ? `${minutes}m` : `${Math.floor(input.duration / 1000)}s`;
+      },
+      colors: (input, { palette }) => ({ bg: palette.GRAY, fg: palette.WHITE })
+    },
+
+    api: {
+      description: 'Share of the session spent waiting on the API: ✨, ⚡ or 🐌 (empty without API time)',
+      modifiers: {
+        icon: { type: 'flag', syntax: 'icon', description: '✨ under 10%, ⚡ under 30%, 🐌 otherwise' },
+        percent: { type: 'flag', syntax: 'percent', description: 'The share itself: 36%' },
+        label: { type: 'flag', syntax: 'label', description: 'fast, normal or slow' }
+      },
+      render(input, modifiers) {
+        const efficiency = Statusline.getApiEfficiency(input.apiDuration, input.duration);
+        if (!efficiency) return '';
+        const values = { icon: efficiency.icon, percent: `${efficiency.percent}%`, label: efficiency.label };
+        return pick(modifiers, ['icon', 'percent', 'label'], ['icon']).map((key) => values[key]).join(' ');
+      },
+      colors: (input, { palette }) => ({ bg: palette.GRAY, fg: palette.WHITE })
+    },
+
+    context: {
+      description: 'Context window usage: 45% [███░░░░░] (empty until known)',
+      modifiers: {
+        percent: { type: 'flag', syntax: 'percent', description: 'Percent used' },
+        bar: { type: 'flag', syntax: 'bar', description: 'Eight-cell bar' }
+      },
+      render(input, modifiers, { model }) {
+        const usage = contextUsage(input, model);
+        if (usage === null) return '';
+        const values = { percent: `${usage}%`, bar: Statusline.generateContextBar(usage) };
+        return pick(modifiers, ['percent', 'bar'], ['percent', 'bar']).map((key) => values[key]).join(' ');
+      },
+      colors(input, { palette, model }) {
+        const usage = contextUsage(input, model);
+        if (usage > 80) return { bg: palette.RED, fg: palette.WHITE };
+        if (usage > 60) return { bg: palette.ORANGE, fg: palette.BLACK };
+        return { bg: palette.DARK, fg: palette.LIGHT };
+      }
+    },
+
+    changes: {
+      description: 'Lines added and removed, and the net change: +45/-12 ↑33 (empty without changes)',
+      modifiers: {
+        added: { type: 'flag', syntax: 'added', description: '+45' },
+        removed: { type: 'flag', syntax: 'removed', description: '-12' },
+        net: { type: 'flag', syntax: 'net', description: '↑33, ↓4 or =' }
+      },
+      render(input, modifiers) {
+        if (!(input.linesAdded > 0 || input.linesRemoved > 0)) return '';
+        const keys = pick(modifiers, ['added', 'removed', 'net'], ['added', 'removed', 'net']);
+        const net = input.linesAdded - input.linesRemoved;
+        const counts = [];
+        if (keys.includes('added')) counts.push(`+${input.linesAdded}`);
+        if (keys.includes('removed')) counts.push(`-${input.linesRemoved}`);
+        const words = counts.length ? [counts.join('/')] : [];
+        if (keys.includes('net')) words.push(net === 0 ? '=' : `${net > 0 ? '↑' : '↓'}${Math.abs(net)}`);
+        return words.join(' ');
+      },
+      colors: (input, { palette }) => ({ bg: palette.DARK, fg: palette.LIGHT })
+    }
+  };
+
+  function contextUsage(input, model) {
+    if (typeof input.contextTokens === 'number') return Statusline.getContextPercent(input.contextTokens, model);
+    return input.contextUsage === undefined ? null : input.contextUsage;
+  }
+
+  // Registered plugin segments (Statusline.registerSegment) are placeholders too
+  const PLUGIN_MODIFIERS = {
+    compact: { type: 'flag', syntax: 'compact', description: 'The shorter form, when the segment has one' }
+  };
+
+  function isPlugin(name) {
+    return !PLACEHOLDERS[name] && Statusline.getSegmentOrder().includes(name);
+  }
+
+  /* ========== Parser ========== */
+
+  /**
+   * Parse one modifier token against a placeholder's modifiers.
+   * Returns { key, value } or { error }.
+   */
+  function parseModifier(token, modifiers) {
+    const format = NUMBER_FORMAT.exec(token);
+    if (format && modifiers.format) {
+      const decimals = parseInt(format[2], 10);
+      if (decimals > Statusline.MAX_COST_DECIMALS) {
+        return { error: `At most ${Statusline.MAX_COST_DECIMALS} decimals: "${token}"` };
+      }
+      return { key: 'format', value: { currency: format[1] === '$', decimals } };
+    }
+
+    const equals = token.indexOf('=');
+    const key = equals === -1 ? token : token.slice(0, equals);
+    const value = equals === -1 ? null : token.slice(equals + 1);
+    const modifier = modifiers[key];
+    if (!modifier || modifier.type === 'format') return { error: `Unknown modifier "${token}"` };
+
+    if (modifier.type === 'flag') {
+      return value === null ? { key, value: true } : { error: `"${key}" takes no value` };
+    }
+    if (modifier.type === 'integer') {
+      return /^\d+$/.test(value || '') && parseInt(value, 10) > 0
+        ? { key, value: parseInt(value, 10) }
+        : { error: `"${key}" needs a positive whole number, as in ${modifier.syntax}` };
+    }
+    // Colors: a palette name (any case) or a 0-255 index
+    const name = (value || '').toUpperCase();
+    if (name in Statusline.ANSI_COLORS) return { key, value: name };
+    if (/^\d+$/.test(value || '') && parseInt(value, 10) <= 255) return { key, value: parseInt(value, 10) };
+    return { error: `"${key}" needs a palette color (${Object.keys(Statusline.ANSI_COLORS).join(', ')}) or a 0-255 index` };
+  }
+
+  /**
+   * Parse the inside of a {...} placeholder starting at offset start (the brace).
+   * Returns { placeholder, errors }.
+   */
+  function parsePlaceholder(body, start) {
+    const errors = [];
+    const colon = body.indexOf(':');
+    const rawName = colon === -1 ? body : body.slice(0, colon);
+    const name = rawName.trim();
+    const nameStart = start + 1 + rawName.indexOf(name);
+
+    if (!name) {
+      return { placeholder: null, errors: [{ message: 'Empty placeholder', start, end: start + body.length + 2 }] };
+    }
+    if (!NAME_PATTERN.test(name) || !(PLACEHOLDERS[name] || isPlugin(name))) {
+      return { placeholder: null, errors: [{ message: `Unknown placeholder "${name}"`, start: nameStart, end: nameStart + name.length }] };
+    }
+
+    const own = PLACEHOLDERS[name] ? PLACEHOLDERS[name].modifiers : PLUGIN_MODIFIERS;
+    const modifiers = Object.assign({}, own, COMMON_MODIFIERS);
+    const values = {};
+    if (colon !== -1) {
+      let offset = start + 1 + colon + 1;
+      body.slice(colon + 1).split(',').forEach((raw) => {
+        const token = raw.trim();
+        const tokenStart = offset + raw.indexOf(token);
+        offset += raw.length + 1;
+        if (!token) {
+          errors.push({ message: `Empty modifier in {${name}}`, start: tokenStart, end: tokenStart });
+          return;
+        }
+        const result = parseModifier(token, modifiers);
+        if (result.error) {
+          errors.push({ message: `${result.error} in {${name}}`, start: tokenStart, end: tokenStart + token.length });
+        } else {
+          values[result.key] = result.value;
+        }
+      });
+    }
+    return { placeholder: { type: 'placeholder', name, modifiers: values, start, end: start + body.length + 2 }, errors };
+  }
+
+  /**
+   * Parse a format string into segments of text and placeholder items.
+   * A space after a placeholder starts a new segment; any other text, spaces
+   * included, belongs to the segment it's in. {{ and }} are literal braces.
+   * Returns { errors, segments }; errors carry { message, start, end } offsets
+   * into the text, and segments is null when there are any.
+   */
+  function parseFormat(text) {
+    const errors = [];
+    const segments = [];
+    let items = [];
+    let literal = '';
+    let boundary = true; // at the start, or just after a placeholder
+
+    const flush = () => {
+      if (literal) items.push({ type: 'text', text: literal });
+      literal = '';
+    };
+    const endSegment = () => {
+      flush();
+      if (items.length) segments.push({ items });
+      items = [];
+    };
+
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      const next = text[i + 1];
+
+      if ((char === '{' && next === '{') || (char === '}' && next === '}')) {
+        literal += char;
+        boundary = false;
+        i += 2;
+      } else if (char === '{') {
+        const close = text.indexOf('}', i + 1);
+        const reopen = text.indexOf('{', i + 1);
+        if (close === -1 || (reopen !== -1 && reopen < close)) {
+          errors.push({ message: 'Unclosed "{"', start: i, end: i + 1 });
+          i++;
+          continue;
+        }
+        const result = parsePlaceholder(text.slice(i + 1, close), i);
+        errors.push(...result.errors);
+        flush();
+        if (result.placeholder) items.push(result.placeholder);
+        boundary = true;
+        i = close + 1;
+      } else if (char === '}') {
+        errors.push({ message: 'Unmatched "}"', start: i, end: i + 1 });
+        i++;
+      } else if (/\s/.test(char) && boundary) {
+        endSegment();
+        while (i < text.length && /\s/.test(text[i])) i++;
+      } else {
+        literal += char;
+        boundary = false;
+        i++;
+      }
+    }
+    endSegment();
+
+    return errors.length ? { errors, segments: null } : { errors, segments };
+  }
+
+  /* ========== Evaluation ========== */
+
+  /**
+   * Text and colors of one placeholder; null when it has nothing to show
+   */
+  function evaluatePlaceholder(item, style, input, context) {
+    if (!PLACEHOLDERS[item.name]) {
+      const segment = Statusline.renderSegmentById(item.name, style, input, context.options);
+      if (!segment) return null;
+      const form = item.modifiers.compact && segment.compact ? Object.assign({}, segment, segment.compact) : segment;
+      return { text: form.text, bg: segment.bg, fg: segment.fg, bold: segment.bold };
+    }
+
+    const placeholder = PLACEHOLDERS[item.name];
+    const text = placeholder.render(input, item.modifiers, context);
+    return text ? Object.assign({ text }, placeholder.colors(input, context)) : null;
+  }
+
+  /**
+   * Render a format string into powerline segments for a style's separators and
+   * end cap (minimal or segments), with the same options as Statusline.render.
+   * Segments whose placeholders all come out empty are left out; the builder's
+   * order and hidden segments don't apply, its width and fit do.
+   * Returns { errors, segments } like parseFormat, with no segments on errors.
+   */
+  function renderFormat(format, style, input, options = {}) {
+    const { errors, segments } = parseFormat(format);
+    if (!segments) return { errors, segments: [] };
+
+    const palette = Statusline.resolvePalette(options.colors);
+    const context = { options, palette, model: Statusline.findModel(input.model, options.models) };
+    const color = (value) => (typeof value === 'number' ? value : palette[value]);
+
+    const rendered = segments
+      .map(({ items }) => {
+        const placeholders = items.filter((item) => item.type === 'placeholder');
+        const values = placeholders.map((item) => evaluatePlaceholder(item, style, input, context));
+        if (placeholders.length && !values.some(Boolean)) return null;
+
+        const text = items
+          .map((item) => (item.type === 'text' ? item.text : (values[placeholders.indexOf(item)] || { text: '' }).text))
+          .join('')
+          .trim();
+        if (!text) return null;
+
+        const first = values.find(Boolean) || { bg: palette.DARK, fg: palette.LIGHT };
+        const segment = {
+          id: placeholders.length ? placeholders[0].name : 'text',
+          text,
+          className: 'segment segment--custom segment--format',
+          bg: first.bg,
+          fg: first.fg,
+          bold: Boolean(first.bold)
+        };
+        placeholders.forEach(({ modifiers }) => {
+          if (modifiers.bg !== undefined) segment.bg = color(modifiers.bg);
+          if (modifiers.fg !== undefined) segment.fg = color(modifiers.fg);
+          if (modifiers.bold) segment.bold = true;
+        });
+        return segment;
+      })
+      .filter(Boolean);
+    const converted = options.ascii ? Statusline.asciiSegments(rendered, options.models) : rendered;
+
+    const fit = options.layout && options.layout.fit;
+    return {
+      errors,
+      segments: options.width > 0 && fit === 'priority' ? Statusline.fitToWidth(converted, style, options) : converted
+    };
+  }
+
+  /**
+   * Rows for a reference table: { name, description, modifiers: [{ syntax, description }] },
+   * built-in placeholders first, then registered plugin segments, then the
+   * modifiers every placeholder takes (name null)
+   */
+  function reference() {
+    const list = (modifiers) => Object.keys(modifiers).map((key) => ({ syntax: modifiers[key].syntax, description: modifiers[key].description }));
+    const plugins = Statusline.listSegments().filter((segment) => isPlugin(segment.id));
+    return Object.keys(PLACEHOLDERS)
+      .map((name) => ({ name, description: PLACEHOLDERS[name].description, modifiers: list(PLACEHOLDERS[name].modifiers) }))
+      .concat(plugins.map((segment) => ({ name: segment.id, description: `${segment.label} (plugin segment)`, modifiers: list(PLUGIN_MODIFIERS) })))
+      .concat({ name: null, description: 'Any placeholder', modifiers: list(COMMON_MODIFIERS) });
+  }
+
+  const StatuslineFormat = {
+    PLACEHOLDERS,
+    COMMON_MODIFIERS,
+    parseFormat,
+    renderFormat,
+    reference
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = StatuslineFormat;
+  } else {
+    root.StatuslineFormat = StatuslineFormat;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,212 @@
+/* ================================================
+   Statusline Themes - Claude Code Statusline Manager
+   Named segment palettes, plus theme file import/export
+   ================================================ */
+
+(function (root) {
+  'use strict';
+
+  const Statusline =
+    typeof module === 'object' && module.exports ? require('./statusline-core.js') : root.Statusline;
+
+  /* ========== Constants ========== */
+
+  const THEME_FILE_VERSION = 1;
+  const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+  const THEME_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+  // Each theme overrides Statusline.ANSI_COLORS slots (xterm 256-color indices, so
+  // the same palette drives the preview, the ANSI backend and exported scripts) and
+  // sets the terminal background/foreground the preview is drawn on.
+  const THEMES = {
+    default: {
+      name: 'default',
+      label: 'Default',
+      terminal: { background: '#0d1117', foreground: '#c9d1d9' },
+      colors: {}
+    },
+    solarized: {
+      name: 'solarized',
+      label: 'Solarized Dark',
+      terminal: { background: '#002b36', foreground: '#839496' },
+      colors: {
+        PURPLE: 61, BLUE: 25, TEAL: 23, GREEN: 58, YELLOW: 136, ORANGE: 166, RED: 160,
+        GRAY: 242, DARK: 235, WHITE: 230, BLACK: 234, BRIGHT: 230, LIGHT: 247, LIME: 64
+      }
+    },
+    nord: {
+      name: 'nord',
+      label: 'Nord',
+      terminal: { background: '#2e3440', foreground: '#d8dee9' },
+      colors: {
+        PURPLE: 96, BLUE: 24, TEAL: 23, GREEN: 58, YELLOW: 222, ORANGE: 173, RED: 95,
+        GRAY: 240, DARK: 237, WHITE: 255, BLACK: 236, BRIGHT: 255, LIGHT: 253, LIME: 108
+      }
+    },
+    'high-contrast': {
+      name: 'high-contrast',
+      label: 'High Contrast',
+      terminal: { background: '#000000', foreground: '#ffffff' },
+      colors: {
+        PURPLE: 54, BLUE: 19, TEAL: 23, GREEN: 22, YELLOW: 226, ORANGE: 214, RED: 160,
+        GRAY: 235, DARK: 233, WHITE: 231, BLACK: 16, BRIGHT: 231, LIGHT: 231, LIME: 46
+      }
+    },
+    'light-terminal': {
+      name: 'light-terminal',
+      label: 'Light Terminal',
+      terminal: { background: '#fafafa', foreground: '#383a42' },
+      colors: {
+        PURPLE: 91, BLUE: 25, TEAL: 23, GREEN: 22, YELLOW: 178, ORANGE: 208, RED: 124,
+        GRAY: 241, DARK: 252, WHITE: 255, BLACK: 16, BRIGHT: 231, LIGHT: 238, LIME: 28
+      }
+    }
+  };
+
+  const DEFAULT_THEME = 'default';
+
+  // Preview terminal backgrounds that override a theme's own, to check a palette
+  // against both kinds of terminal
+  const TERMINAL_BACKGROUNDS = {
+    dark: { background: '#0d1117', foreground: '#c9d1d9' },
+    light: { background: '#ffffff', foreground: '#24292f' }
+  };
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /* ========== Lookup ========== */
+
+  /**
+   * Built-in themes followed by imported ones; an import may not shadow a built-in
+   */
+  function listThemes(imported = []) {
+    const builtIn = Object.keys(THEMES).map((name) => THEMES[name]);
+    return builtIn.concat(imported.filter((theme) => !THEMES[theme.name]));
+  }
+
+  /**
+   * Theme by name, falling back to the default theme
+   */
+  function getTheme(name, imported = []) {
+    return listThemes(imported).find((theme) => theme.name === name) || THEMES[DEFAULT_THEME];
+  }
+
+  /**
+   * Terminal colors to preview a theme on: the theme's own unless a
+   * TERMINAL_BACKGROUNDS key ('dark' or 'light') overrides them
+   */
+  function getTerminal(theme, background) {
+    return Object.prototype.hasOwnProperty.call(TERMINAL_BACKGROUNDS, background) ? TERMINAL_BACKGROUNDS[background] : theme.terminal;
+  }
+
+  /**
+   * Full palette for a theme: every ANSI_COLORS slot, with the theme's overrides
+   */
+  function getPalette(theme) {
+    return Statusline.resolvePalette(theme && theme.colors);
+  }
+
+  /* ========== Import / Export ========== */
+
+  /**
+   * Validate a parsed theme file. Returns { errors, theme }; theme is null when invalid.
+   */
+  function validateTheme(data) {
+    if (!isPlainObject(data)) return { errors: ['Theme must be a JSON object'], theme: null };
+
+    const errors = [];
+    if (data.version !== undefined && data.version !== THEME_FILE_VERSION) {
+      errors.push(`Unsupported theme version ${data.version} (expected ${THEME_FILE_VERSION})`);
+    }
+    if (typeof data.name !== 'string' || !THEME_NAME.test(data.name)) {
+      errors.push('name must be lowercase letters, digits and dashes');
+    } else if (THEMES[data.name]) {
+      errors.push(`"${data.name}" is a built-in theme; pick another name`);
+    }
+    if (data.label !== undefined && typeof data.label !== 'string') errors.push('label must be a string');
+
+    const terminal = data.terminal === undefined ? THEMES[DEFAULT_THEME].terminal : data.terminal;
+    if (!isPlainObject(terminal) || !HEX_COLOR.test(terminal.background) || !HEX_COLOR.test(terminal.foreground)) {
+      errors.push('terminal.background and terminal.foreground must be #rrggbb colors');
+    }
+
+    const colors = {};
+    if (!isPlainObject(data.colors)) {
+      errors.push('colors must be an object of ANSI color slots');
+    } else {
+      Object.keys(data.colors).forEach((key) => {
+        const value = data.colors[key];
+        if (!Object.prototype.hasOwnProperty.call(Statusline.ANSI_COLORS, key)) {
+          errors.push(`Unknown color slot: ${key}`);
+        } else if (!Number.isInteger(value) || value < 0 || value > 255) {
+          errors.push(`colors.${key} must be a 256-color index (0-255)`);
+        } else {
+          colors[key] = value;
+        }
+      });
+    }
+
+    if (errors.length) return { errors, theme: null };
+    return {
+      errors,
+      theme: {
+        name: data.name,
+        label: data.label && data.label.trim() ? data.label.trim() : data.name,
+        terminal: { background: terminal.background.toLowerCase(), foreground: terminal.foreground.toLowerCase() },
+        colors
+      }
+    };
+  }
+
+  /**
+   * Parse theme file text. Returns { errors, theme }.
+   */
+  function importTheme(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { errors: [`Invalid JSON: ${err.message}`], theme: null };
+    }
+    return validateTheme(data);
+  }
+
+  /**
+   * Serialize a theme as a shareable file. Every palette slot is written out, so
+   * the file still means the same thing if the built-in defaults change. Built-in
+   * themes are exported under a "-custom" name so the file can be edited and imported.
+   */
+  function exportTheme(theme) {
+    const builtIn = Boolean(THEMES[theme.name]);
+    const file = {
+      version: THEME_FILE_VERSION,
+      name: builtIn ? `${theme.name}-custom` : theme.name,
+      label: builtIn ? `${theme.label} (custom)` : theme.label,
+      terminal: theme.terminal,
+      colors: getPalette(theme)
+    };
+    return JSON.stringify(file, null, 2);
+  }
+
+  const StatuslineThemes = {
+    THEMES,
+    DEFAULT_THEME,
+    THEME_FILE_VERSION,
+    TERMINAL_BACKGROUNDS,
+    listThemes,
+    getTheme,
+    getTerminal,
+    getPalette,
+    validateTheme,
+    importTheme,
+    exportTheme
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = StatuslineThemes;
+  } else {
+    root.StatuslineThemes = StatuslineThemes;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
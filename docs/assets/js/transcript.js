@@ -0,0 +1,151 @@
+/* ================================================
+   Transcript Analyzer - Claude Code Statusline Manager
+   Estimates context usage from a session transcript, in the browser or Node
+   ================================================ */
+
+(function (root) {
+  'use strict';
+
+  /* ========== Constants ========== */
+
+  // statusline-segments.sh divides user content length by 4 to approximate tokens
+  const CHARS_PER_TOKEN = 4;
+
+  // Roles the bash estimate counts; anything else is listed but not counted
+  const COUNTED_ROLES = ['user', 'assistant'];
+
+  /* ========== jq Semantics ========== */
+
+  /**
+   * jq's `length`: codepoints of a string, items of an array, keys of an object,
+   * absolute value of a number, 0 for null. Booleans make jq error, which the
+   * script's `2>/dev/null || echo 0` turns into 0.
+   */
+  function jqLength(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'string') return Array.from(value).length;
+    if (Array.isArray(value)) return value.length;
+    if (typeof value === 'object') return Object.keys(value).length;
+    if (typeof value === 'number') return Math.abs(value);
+    return 0;
+  }
+
+  /* ========== Parsing ========== */
+
+  /**
+   * Normalize one entry of the messages array into { role, content, tokenCount, usage }.
+   * Reads the same fields as the bash jq filters; non-objects are dropped.
+   */
+  function toMessage(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+    return {
+      role: typeof entry.role === 'string' ? entry.role : 'unknown',
+      content: entry.content,
+      tokenCount: typeof entry.token_count === 'number' ? entry.token_count : null,
+      usage: entry.usage && typeof entry.usage === 'object' && !Array.isArray(entry.usage) ? entry.usage : null
+    };
+  }
+
+  /**
+   * Parse transcript text: the single JSON document whose `.messages[]?` the bash
+   * jq filters read. Anything else is an error, since the scripts would count
+   * nothing from it. Returns { errors, messages }.
+   */
+  function parse(text) {
+    const source = String(text).trim();
+    if (!source) return { errors: ['Transcript is empty'], messages: [] };
+
+    let doc;
+    try {
+      doc = JSON.parse(source);
+    } catch (err) {
+      return { errors: [`Transcript must be a single JSON document: ${err.message}`], messages: [] };
+    }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc) || !Array.isArray(doc.messages)) {
+      return { errors: ['Transcript must be a JSON object with a messages array'], messages: [] };
+    }
+    return { errors: [], messages: doc.messages.map(toMessage).filter(Boolean) };
+  }
+
+  /* ========== Estimation ========== */
+
+  /**
+   * Estimate context tokens the way statusline-segments.sh does:
+   *   input  = sum of user `.content | length`, divided by 4 (integer division)
+   *   output = sum of assistant `.token_count // (.content | length / 4)`
+   * Returns { total, input, output, roles, reported, usage } where roles maps each role to
+   * { messages, length, tokens, counted }, reported is the context size from the
+   * last API usage block and usage sums every block's billed { input, output } tokens
+   * (cache reads and writes count as input), for Statusline.estimateCost. Both are
+   * null when the transcript has no usage blocks.
+   */
+  function estimate(messages) {
+    const roles = {};
+    let inputLength = 0;
+    let output = 0;
+    let reported = null;
+    let usage = null;
+
+    messages.forEach((message) => {
+      const role = message.role;
+      if (!roles[role]) {
+        roles[role] = { messages: 0, length: 0, tokens: 0, counted: COUNTED_ROLES.includes(role) };
+      }
+      const entry = roles[role];
+      const length = jqLength(message.content);
+      entry.messages += 1;
+      entry.length += length;
+
+      if (role === 'user') {
+        inputLength += length;
+      } else if (role === 'assistant') {
+        const tokens = message.tokenCount !== null ? message.tokenCount : length / CHARS_PER_TOKEN;
+        entry.tokens += tokens;
+        output += tokens;
+      }
+
+      if (message.usage) {
+        const count = (value) => (typeof value === 'number' ? value : 0);
+        const billedInput =
+          count(message.usage.input_tokens) +
+          count(message.usage.cache_creation_input_tokens) +
+          count(message.usage.cache_read_input_tokens);
+        const billedOutput = count(message.usage.output_tokens);
+        reported = billedInput + billedOutput;
+        usage = usage || { input: 0, output: 0 };
+        usage.input += billedInput;
+        usage.output += billedOutput;
+      }
+    });
+
+    // Bash arithmetic is integer-only; fractional output estimates are floored
+    const input = Math.floor(inputLength / CHARS_PER_TOKEN);
+    if (roles.user) roles.user.tokens = input;
+    if (roles.assistant) roles.assistant.tokens = Math.floor(roles.assistant.tokens);
+    output = Math.floor(output);
+
+    return { total: input + output, input, output, roles, reported, usage };
+  }
+
+  /**
+   * Parse and estimate in one step: { errors, messageCount, ...estimate }
+   */
+  function analyze(text) {
+    const { errors, messages } = parse(text);
+    return Object.assign({ errors, messageCount: messages.length }, estimate(messages));
+  }
+
+  const Transcript = {
+    CHARS_PER_TOKEN,
+    jqLength,
+    parse,
+    estimate,
+    analyze
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = Transcript;
+  } else {
+    root.Transcript = Transcript;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -22,8 +22,28 @@ FG_WHITE="\e[38;5;255m"
 FG_BLACK="\e[38;5;16m"
 FG_BRIGHT="\e[38;5;231m"
 
-# Arrow separator
-SEP="▶"
+# Cost display - override via the "env" block of settings.json
+COST_LOW="${STATUSLINE_COST_LOW:-0.05}"
+COST_MEDIUM="${STATUSLINE_COST_MEDIUM:-0.10}"
+COST_DECIMALS="${STATUSLINE_COST_DECIMALS:-4}"
+CURRENCY="${STATUSLINE_CURRENCY:-\$}"
+CURRENCY_RATE="${STATUSLINE_CURRENCY_RATE:-1}"     # USD -> display currency, thresholds use the converted amount
+
+# Directory display - paths longer than this keep their last two components
+PATH_MAX="${STATUSLINE_PATH_MAX:-30}"
+
+# Separator set - override with STATUSLINE_SEPARATOR (arrow, hollow, thin, powerline,
+# rounded, slanted, ascii or none); powerline, rounded and slanted need a Nerd Font
+case "${STATUSLINE_SEPARATOR:-arrow}" in
+    hollow)    SEP="▷" ;;
+    thin)      SEP="│" ;;
+    powerline) SEP=$'\xee\x82\xb0' ;;   # U+E0B0
+    rounded)   SEP=$'\xee\x82\xb4' ;;   # U+E0B4
+    slanted)   SEP=$'\xee\x82\xbc' ;;   # U+E0BC
+    ascii)     SEP=">" ;;
+    none)      SEP="" ;;
+    *)         SEP="▶" ;;
+esac
 
 # Extract data
 model=$(echo "$input" | jq -r '.model.display_name // "Unknown"' | tr '[:lower:]' '[:upper:]')
@@ -31,6 +51,11 @@ cwd=$(echo "$input" | jq -r '.workspace.current_dir // .cwd // "~"')
 cost=$(echo "$input" | jq -r '.cost.total_cost_usd // 0')
 duration_ms=$(echo "$input" | jq -r '.cost.total_duration_ms // 0')
 
+# Convert to the display currency
+if [ "$CURRENCY_RATE" != "1" ]; then
+    cost=$(echo "$cost * $CURRENCY_RATE" | bc -l 2>/dev/null || echo "$cost")
+fi
+
 # Shorten path
 short_cwd=$(echo "$cwd" | sed "s|^$HOME|~|")
 
@@ -41,7 +66,7 @@ if [ -z "$short_cwd" ] || [ "$short_cwd" = "" ]; then
 fi
 
 # Keep only last 2 directories if path is long
-if [ ${#short_cwd} -gt 30 ]; then
+if [ ${#short_cwd} -gt "$PATH_MAX" ]; then
     short_cwd="…/$(echo "$short_cwd" | rev | cut -d'/' -f1-2 | rev)"
 fi
 
@@ -50,7 +75,9 @@ git_bg=""
 git_text=""
 git_trans=""
 if cd "$cwd" 2>/dev/null && git rev-parse --git-dir &>/dev/null; then
-    branch=$(git branch --show-current 2>/dev/null || echo "HEAD")
+    # --show-current prints nothing on a detached HEAD: fall back to an exact tag, then HEAD
+    branch=$(git branch --show-current 2>/dev/null)
+    [ -z "$branch" ] && branch=$(git describe --tags --exact-match 2>/dev/null || echo "HEAD")
     [ ${#branch} -gt 12 ] && branch="${branch:0:10}.."
     
     # Check if dirty
@@ -68,12 +95,12 @@ if cd "$cwd" 2>/dev/null && git rev-parse --git-dir &>/dev/null; then
 fi
 
 # Format cost with color based on amount
-formatted_cost=$(echo "$cost" | awk '{printf "%.4f", $1}')
-if (( $(echo "$cost > 0.10" | bc -l 2>/dev/null || echo 0) )); then
+formatted_cost=$(echo "$cost" | awk -v d="$COST_DECIMALS" '{printf "%.*f", d, $1}')
+if (( $(echo "$cost > $COST_MEDIUM" | bc -l 2>/dev/null || echo 0) )); then
     cost_bg="${BG_RED}"
     cost_fg="${FG_WHITE}"
     cost_trans="\e[38;5;196m"
-elif (( $(echo "$cost > 0.05" | bc -l 2>/dev/null || echo 0) )); then
+elif (( $(echo "$cost > $COST_LOW" | bc -l 2>/dev/null || echo 0) )); then
     cost_bg="${BG_ORANGE}"
     cost_fg="${FG_BLACK}"
     cost_trans="\e[38;5;208m"
@@ -113,14 +140,14 @@ else
 fi
 
 # Cost segment with transition
-output="${output}${next_trans}${cost_bg}${SEP}${cost_bg}${cost_fg} \$${formatted_cost} ${RESET}"
+output="${output}${next_trans}${cost_bg}${SEP}${cost_bg}${cost_fg} ${CURRENCY}${formatted_cost} ${RESET}"
 
 # Duration segment (if available) with transition
 if [ -n "$time_text" ]; then
     output="${output}${cost_trans}${BG_GRAY}${SEP}${BG_GRAY}${FG_WHITE} ${time_text} ${RESET}"
-    output="${output}\e[38;5;240m${SEP}${RESET}"
+    [ -n "$SEP" ] && output="${output}\e[38;5;240m${SEP}${RESET}"
 else
-    output="${output}${cost_trans}${SEP}${RESET}"
+    [ -n "$SEP" ] && output="${output}${cost_trans}${SEP}${RESET}"
 fi
 
 echo -en "$output"
\ No newline at end of file
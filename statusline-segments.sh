@@ -33,10 +33,38 @@ FG_BLACK="\e[38;5;16m"      # Pure black for yellow/light backgrounds
 FG_BRIGHT="\e[38;5;231m"    # Bright white
 # FG_DARK="\e[38;5;232m"      # Very dark for light backgrounds (reserved)
 
-# Arrow separators for segment transitions
-SEP="▶"
-# SEP_THIN="│"  # Reserved for future use
-# SEP_ALT="▷"   # Reserved for future use
+# Cost display - override via the "env" block of settings.json
+COST_LOW="${STATUSLINE_COST_LOW:-0.05}"
+COST_MEDIUM="${STATUSLINE_COST_MEDIUM:-0.10}"
+COST_DECIMALS="${STATUSLINE_COST_DECIMALS:-3}"
+CURRENCY="${STATUSLINE_CURRENCY:-\$}"
+CURRENCY_RATE="${STATUSLINE_CURRENCY_RATE:-1}"     # USD -> display currency, thresholds use the converted amount
+BUDGET="${STATUSLINE_BUDGET:-}"                     # Session budget in the display currency, empty for none
+BUDGET_ALERT="${STATUSLINE_BUDGET_ALERT:-15}"       # Alert when the budget runs out in fewer minutes than this
+
+# Directory display - paths longer than this keep their last two components
+PATH_MAX="${STATUSLINE_PATH_MAX:-30}"
+
+# Model registry: name pattern|emoji|label|context window (tokens)|input and output
+# price per million tokens (USD), first match wins
+MODEL_REGISTRY=(
+    "Opus|🎭|OPUS|200000|15|75"
+    "Sonnet|🎵|SONNET|200000|3|15"
+    "Haiku|🍃|HAIKU|200000|0.8|4"
+)
+
+# Separator set - override with STATUSLINE_SEPARATOR (arrow, hollow, thin, powerline,
+# rounded, slanted, ascii or none); powerline, rounded and slanted need a Nerd Font
+case "${STATUSLINE_SEPARATOR:-arrow}" in
+    hollow)    SEP="▷" ;;
+    thin)      SEP="│" ;;
+    powerline) SEP=$'\xee\x82\xb0' ;;   # U+E0B0
+    rounded)   SEP=$'\xee\x82\xb4' ;;   # U+E0B4
+    slanted)   SEP=$'\xee\x82\xbc' ;;   # U+E0BC
+    ascii)     SEP=">" ;;
+    none)      SEP="" ;;
+    *)         SEP="▶" ;;
+esac
 
 # Transition colors (foreground color of arrow matches previous segment)
 trans_purple_blue="\e[38;5;93m\e[48;5;33m"
@@ -59,21 +87,26 @@ api_duration=$(echo "$input" | jq -r '.cost.total_api_duration_ms // 0')
 lines_added=$(echo "$input" | jq -r '.cost.total_lines_added // 0')
 lines_removed=$(echo "$input" | jq -r '.cost.total_lines_removed // 0')
 
-# Format model with emoji
-case "$model" in
-    *"Opus"*)
-        model_display="🎭 OPUS"
-        ;;
-    *"Sonnet"*)
-        model_display="🎵 SONNET"
-        ;;
-    *"Haiku"*)
-        model_display="🍃 HAIKU"
-        ;;
-    *)
-        model_display="🤖 ${model:0:7}"
-        ;;
-esac
+# Convert to the display currency
+if [ "$CURRENCY_RATE" != "1" ]; then
+    total_cost=$(echo "$total_cost * $CURRENCY_RATE" | bc -l 2>/dev/null || echo "$total_cost")
+fi
+
+# Format model with emoji and look up its context window
+model_display="🤖 ${model:0:7}"
+max_context=200000
+price_in=""
+price_out=""
+for entry in "${MODEL_REGISTRY[@]}"; do
+    IFS='|' read -r pattern emoji label window input_price output_price <<< "$entry"
+    if [[ "$model" == *"$pattern"* ]]; then
+        model_display="${emoji} ${label}"
+        max_context="$window"
+        price_in="$input_price"
+        price_out="$output_price"
+        break
+    fi
+done
 
 # Smart directory display with project context
 display_dir=$(echo "$cwd" | sed "s|^$HOME|~|")
@@ -92,7 +125,7 @@ if [ -z "$display_dir" ] || [ "$display_dir" = "" ]; then
 fi
 
 # Truncate long paths
-if [ ${#display_dir} -gt 30 ]; then
+if [ ${#display_dir} -gt "$PATH_MAX" ]; then
     display_dir="…/$(echo "$display_dir" | rev | cut -d'/' -f1-2 | rev)"
 fi
 
@@ -101,15 +134,29 @@ git_bg=""
 git_text=""
 git_trans=""
 if cd "$cwd" 2>/dev/null && git rev-parse --git-dir &>/dev/null; then
-    branch=$(git branch --show-current 2>/dev/null || git describe --tags --exact-match 2>/dev/null || echo "HEAD")
+    # --show-current prints nothing on a detached HEAD: fall back to an exact tag, then HEAD
+    branch=$(git branch --show-current 2>/dev/null)
+    [ -z "$branch" ] && branch=$(git describe --tags --exact-match 2>/dev/null || echo "HEAD")
     [ ${#branch} -gt 12 ] && branch="${branch:0:10}.."
 
     # Get detailed git stats
-    ahead_behind=$(git rev-list --left-right --count 'HEAD...@{u}' 2>/dev/null || echo "0 0")
+    ahead_behind=$(git rev-list --left-right --count 'HEAD...@{u}' 2>/dev/null || printf '0\t0')
     ahead=$(echo "$ahead_behind" | cut -f1)
     behind=$(echo "$ahead_behind" | cut -f2)
     unstaged=$(git diff --numstat 2>/dev/null | wc -l)
     staged=$(git diff --cached --numstat 2>/dev/null | wc -l)
+    conflicts=$(git diff --name-only --diff-filter=U 2>/dev/null | wc -l)
+    untracked=$(git ls-files --others --exclude-standard 2>/dev/null | wc -l)
+    stashed=$(git stash list 2>/dev/null | wc -l)
+
+    # Merge or rebase in progress
+    git_dir=$(git rev-parse --git-dir 2>/dev/null)
+    git_op=""
+    if [ -d "$git_dir/rebase-merge" ] || [ -d "$git_dir/rebase-apply" ]; then
+        git_op=" ↻"
+    elif [ -f "$git_dir/MERGE_HEAD" ]; then
+        git_op=" ⇄"
+    fi
 
     git_stats=""
     if [ "$staged" -gt 0 ]; then
@@ -124,8 +171,27 @@ if cd "$cwd" 2>/dev/null && git rev-parse --git-dir &>/dev/null; then
     if [ "$behind" -gt 0 ]; then
         git_stats="${git_stats} ↓${behind}"
     fi
+    if [ "$conflicts" -gt 0 ]; then
+        git_stats="${git_stats} ✖${conflicts}"
+    fi
+    if [ "$untracked" -gt 0 ]; then
+        git_stats="${git_stats} ?${untracked}"
+    fi
+    if [ "$stashed" -gt 0 ]; then
+        git_stats="${git_stats} ⚑${stashed}"
+    fi
 
-    if [ -n "$git_stats" ]; then
+    if [ "$conflicts" -gt 0 ]; then
+        git_bg="${BG_RED}"
+        git_text="⎇ ${branch}${git_op}${git_stats}"
+        git_fg="${FG_WHITE}"
+        git_trans="\e[38;5;196m"
+    elif [ -n "$git_op" ]; then
+        git_bg="${BG_ORANGE}"
+        git_text="⎇ ${branch}${git_op}${git_stats}"
+        git_fg="${FG_BLACK}"
+        git_trans="\e[38;5;208m"
+    elif [ -n "$git_stats" ]; then
         git_bg="${BG_YELLOW}"
         git_text="⎇ ${branch}${git_stats}"
         git_fg="${FG_BLACK}"
@@ -139,33 +205,71 @@ if cd "$cwd" 2>/dev/null && git rev-parse --git-dir &>/dev/null; then
 fi
 
 # Cost with burn rate - color coded
-formatted_cost=$(printf "%.3f" "$total_cost" 2>/dev/null || echo "0.000")
+formatted_cost=$(printf "%.${COST_DECIMALS}f" "$total_cost" 2>/dev/null || echo "0")
 burn_rate=""
+# Until the session reports a cost, price the transcript's API usage blocks instead
+burn_cost="$total_cost"
+if [ -n "$price_in" ] && [ -n "$transcript_path" ] && [ -f "$transcript_path" ] &&
+    ! (( $(echo "$total_cost > 0" | bc -l 2>/dev/null || echo 0) )); then
+    usage=$(jq -r '[.messages[]?.usage | objects] | select(length > 0) |
+        "\(map((.input_tokens // 0) + (.cache_creation_input_tokens // 0) + (.cache_read_input_tokens // 0)) | add) \(map(.output_tokens // 0) | add)"' \
+        "$transcript_path" 2>/dev/null)
+    if [ -n "$usage" ]; then
+        read -r usage_in usage_out <<< "$usage"
+        burn_cost=$(echo "($usage_in * $price_in + $usage_out * $price_out) / 1000000 * $CURRENCY_RATE" | bc -l 2>/dev/null || echo "$total_cost")
+    fi
+fi
 if [ "$total_duration" -gt 60000 ]; then
     hours=$(echo "scale=2; $total_duration / 3600000" | bc -l 2>/dev/null || echo "0")
     if [ "$(echo "$hours > 0" | bc -l 2>/dev/null)" = "1" ]; then
-        rate=$(echo "scale=2; $total_cost / $hours" | bc -l 2>/dev/null || echo "0")
-        burn_rate=" \$${rate}/h"
+        rate=$(echo "scale=2; $burn_cost / $hours" | bc -l 2>/dev/null || echo "0")
+        burn_rate=" ${CURRENCY}${rate}/h"
     fi
 fi
 
-if (( $(echo "$total_cost > 0.10" | bc -l 2>/dev/null || echo 0) )); then
+if (( $(echo "$total_cost > $COST_MEDIUM" | bc -l 2>/dev/null || echo 0) )); then
     cost_bg="${BG_RED}"
     cost_fg="${FG_WHITE}"
-    cost_text="💸 \$${formatted_cost}${burn_rate}"
+    cost_emoji="💸 "
     cost_trans="\e[38;5;196m"
-elif (( $(echo "$total_cost > 0.05" | bc -l 2>/dev/null || echo 0) )); then
+elif (( $(echo "$total_cost > $COST_LOW" | bc -l 2>/dev/null || echo 0) )); then
     cost_bg="${BG_ORANGE}"
     cost_fg="${FG_BLACK}"
-    cost_text="💰 \$${formatted_cost}${burn_rate}"
+    cost_emoji="💰 "
     cost_trans="\e[38;5;208m"
 else
     cost_bg="${BG_GREEN}"
     cost_fg="${FG_WHITE}"
-    cost_text="\$${formatted_cost}${burn_rate}"
+    cost_emoji=""
     cost_trans="\e[38;5;40m"
 fi
 
+# Session budget - percent spent and minutes left at the average burn rate
+budget_text=""
+if [ -n "$BUDGET" ] && (( $(echo "$BUDGET > 0" | bc -l 2>/dev/null || echo 0) )); then
+    budget_alert=0
+    budget_pct=$(echo "$total_cost * 100 / $BUDGET" | bc 2>/dev/null || echo 0)
+    budget_text=" ${budget_pct}%"
+    if (( $(echo "$total_cost >= $BUDGET" | bc -l 2>/dev/null || echo 0) )); then
+        budget_alert=1
+    elif [ "$total_duration" -gt 60000 ] && (( $(echo "$total_cost > 0" | bc -l 2>/dev/null || echo 0) )); then
+        minutes_left=$(echo "($BUDGET - $total_cost) * $total_duration / ($total_cost * 60000)" | bc 2>/dev/null || echo 0)
+        if [ "$minutes_left" -ge 60 ]; then
+            budget_text="${budget_text} ⏳$((minutes_left / 60))h$((minutes_left % 60))m"
+        else
+            budget_text="${budget_text} ⏳${minutes_left}m"
+        fi
+        [ "$minutes_left" -lt "$BUDGET_ALERT" ] && budget_alert=1
+    fi
+    if [ "$budget_alert" = "1" ]; then
+        cost_bg="${BG_RED}"
+        cost_fg="${FG_WHITE}${BOLD}"
+        cost_emoji="🚨 "
+        cost_trans="\e[38;5;196m"
+    fi
+fi
+cost_text="${cost_emoji}${CURRENCY}${formatted_cost}${burn_rate}${budget_text}"
+
 # Duration with API efficiency indicator
 time_text=""
 if [ "$total_duration" -gt 0 ]; then
@@ -203,13 +307,6 @@ if [ -n "$transcript_path" ] && [ -f "$transcript_path" ]; then
     total_tokens=$((input_tokens / 4 + output_tokens))
 
     if [ "$total_tokens" -gt 0 ]; then
-        # Model-specific limits
-        if [[ "$model" == *"Opus"* ]]; then
-            max_context=200000
-        else
-            max_context=100000
-        fi
-
         context_pct=$((total_tokens * 100 / max_context))
 
         # Create visual bar
@@ -293,6 +390,6 @@ if [ -n "$changes_text" ]; then
 fi
 
 # End cap
-output="${output}\e[38;5;236m${SEP}${RESET}"
+[ -n "$SEP" ] && output="${output}\e[38;5;236m${SEP}${RESET}"
 
 echo -en "$output"
\ No newline at end of file
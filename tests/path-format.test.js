@@ -0,0 +1,95 @@
+/* ================================================
+   Path Format Tests - Claude Code Statusline Manager
+   Runs tests/path-fixtures.json through path-format.js and the bash scripts
+   Usage: node --test tests/   (the script cases need bash, jq and bc)
+   ================================================ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const Paths = require('../docs/assets/js/path-format.js');
+const fixtures = require('./path-fixtures.json');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS = { minimal: 'statusline-minimal.sh', segments: 'statusline-segments.sh' };
+
+// The directory segment's text: blue background, bright foreground, then a reset
+const DIR_SEGMENT = /\x1b\[48;5;33m\x1b\[38;5;231m (?:📁 )?(.*?) \x1b\[0m/;
+
+/* ========== Sandbox ========== */
+
+// The scripts call realpath, which needs the directories to exist, so every
+// fixture path is recreated under a temporary root. Expected values never
+// include that root: they are home-abbreviated, project-relative or truncated.
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'statusline-paths-'));
+const inSandbox = (dir) => (dir ? path.join(sandbox, dir) : '');
+
+test.after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+
+function runScript(style, fixture) {
+  const currentDir = inSandbox(fixture.current_dir);
+  fs.mkdirSync(currentDir, { recursive: true });
+  if (fixture.project_dir) fs.mkdirSync(inSandbox(fixture.project_dir), { recursive: true });
+
+  const input = JSON.stringify({
+    model: { display_name: 'Opus' },
+    workspace: { current_dir: currentDir, project_dir: inSandbox(fixture.project_dir) }
+  });
+  const output = execFileSync('bash', [path.join(ROOT, SCRIPTS[style])], {
+    input,
+    env: Object.assign({}, process.env, {
+      HOME: inSandbox(fixture.home),
+      STATUSLINE_PATH_MAX: String(fixture.maxWidth),
+      LC_ALL: 'C.UTF-8'
+    })
+  }).toString();
+
+  const match = DIR_SEGMENT.exec(output);
+  assert.ok(match, `no directory segment in ${JSON.stringify(output)}`);
+  return match[1];
+}
+
+/* ========== formatPath ========== */
+
+fixtures.formatPath.forEach((fixture) => {
+  Object.keys(SCRIPTS).forEach((style) => {
+    const expected = fixture.expected[style];
+
+    test(`formatPath (${style}): ${fixture.name}`, () => {
+      // The minimal script ignores project_dir
+      const projectDir = style === 'minimal' ? '' : fixture.project_dir;
+      const options = { home: fixture.home, maxWidth: fixture.maxWidth };
+      assert.strictEqual(Paths.formatPath(fixture.current_dir, projectDir, options), expected);
+    });
+
+    test(`${SCRIPTS[style]}: ${fixture.name}`, () => {
+      assert.strictEqual(runScript(style, fixture), expected);
+    });
+  });
+});
+
+/* ========== Helpers ========== */
+
+test('truncatePath', () => {
+  fixtures.truncatePath.forEach(({ path: input, maxWidth, expected }) => {
+    assert.strictEqual(Paths.truncatePath(input, maxWidth), expected, input);
+  });
+});
+
+test('abbreviateHome', () => {
+  fixtures.abbreviateHome.forEach(({ path: input, home, everywhere, expected }) => {
+    assert.strictEqual(Paths.abbreviateHome(input, home, everywhere), expected, input);
+  });
+});
+
+test('relativePath', () => {
+  fixtures.relativePath.forEach(({ from, to, expected }) => {
+    assert.strictEqual(Paths.relativePath(from, to), expected, `${from} -> ${to}`);
+  });
+});
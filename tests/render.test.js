@@ -0,0 +1,52 @@
+/* ================================================
+   Render Golden Tests - Claude Code Statusline Manager
+   Pipes tests/render-fixtures.json through the bash scripts and compares
+   their output with Statusline.toANSI
+   Usage: node --test tests/   (needs bash and jq; cost and burn cases need bc)
+   ================================================ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const Statusline = require('../docs/assets/js/statusline-core.js');
+const fixtures = require('./render-fixtures.json');
+
+const ROOT = path.resolve(__dirname, '..');
+const STYLES = ['minimal', 'segments'];
+
+// A directory that doesn't exist: the scripts' `cd` fails, so no git segment
+const HOME = '/home/statusline-test';
+const CURRENT_DIR = `${HOME}/projects/app`;
+
+// Without bc the scripts can't compare or divide costs; fixtures that need it are skipped
+const HAS_BC = spawnSync('sh', ['-c', 'command -v bc'], { stdio: 'ignore' }).status === 0;
+
+function runScript(style, fixture) {
+  const input = Object.assign({ workspace: { current_dir: CURRENT_DIR } }, fixture.payload);
+  return execFileSync('bash', [path.join(ROOT, `statusline-${style}.sh`)], {
+    input: JSON.stringify(input),
+    env: Object.assign({}, process.env, { HOME, LC_ALL: 'C.UTF-8' }, fixture.env)
+  }).toString();
+}
+
+function renderANSI(style, fixture) {
+  const payload = Object.assign({ workspace: { current_dir: CURRENT_DIR } }, fixture.payload);
+  const { errors, frames } = Statusline.parseSession(JSON.stringify(payload));
+  assert.deepStrictEqual(errors, []);
+  const input = Object.assign({ gitStatus: 'none' }, frames[0]);
+  const options = Object.assign({ paths: { home: HOME } }, fixture.options);
+  return Statusline.toANSI(Statusline.render(style, input, options), style, options);
+}
+
+fixtures.forEach((fixture) => {
+  STYLES.forEach((style) => {
+    const skip = fixture.bc && !HAS_BC && 'bc is not installed';
+    test(`statusline-${style}.sh matches toANSI: ${fixture.name}`, { skip }, () => {
+      assert.strictEqual(renderANSI(style, fixture), runScript(style, fixture));
+    });
+  });
+});